@@ -0,0 +1,448 @@
+/**
+ * Health Tracker App - Body Tracker
+ * This file contains the BodyTracker class that records body weight and optional waist and
+ * body fat measurements, one entry per day
+ */
+
+// Days covered by the moving average of body weight
+const BODY_AVERAGE_DAYS = 7;
+
+// Days shown in the weight trend chart
+const BODY_CHART_DAYS = 90;
+
+// Size of the trend chart in SVG units
+const BODY_CHART_SIZE = { width: 300, height: 120, padding: 10 };
+
+/**
+ * BodyTracker class for body weight and measurements
+ */
+class BodyTracker {
+  /**
+   * Create a new body tracker
+   */
+  constructor() {
+    // Measurements keyed by date: { weight (kg), waist (cm), bodyFat (%), timestamp }
+    this.history = {};
+    
+    // Set DOM elements
+    this.elements = {
+      latestWeight: document.getElementById('body-latest-weight'),
+      averageWeight: document.getElementById('body-average-weight'),
+      latestWaist: document.getElementById('body-latest-waist'),
+      latestBodyFat: document.getElementById('body-latest-body-fat'),
+      chart: document.getElementById('body-chart'),
+      dateInput: document.getElementById('body-date'),
+      weightInput: document.getElementById('body-weight'),
+      waistInput: document.getElementById('body-waist'),
+      bodyFatInput: document.getElementById('body-fat'),
+      historyList: document.getElementById('body-history-list'),
+      historyPanel: document.getElementById('body-history-popup')
+    };
+    
+    // Load data, then initialize tracker
+    this.ready = this.loadData()
+      .catch(error => healthDB.reportError(error))
+      .then(() => this.initializeTracker());
+  }
+  
+  /**
+   * Load measurements from the database
+   * @returns {Promise<void>}
+   */
+  async loadData() {
+    this.history = healthDB.toBodyHistory(await healthDB.getAll(DB_STORES.BODY));
+  }
+  
+  /**
+   * Initialize tracker
+   */
+  initializeTracker() {
+    this.resetForm();
+    this.updateDisplay();
+    
+    // Let the new day be picked, keeping the form on another day if one was chosen
+    window.addEventListener(DAY_CHANGE_EVENT, event => {
+      if (!this.elements.dateInput) return;
+      
+      this.elements.dateInput.max = event.detail.currentDay;
+      if (this.elements.dateInput.value === event.detail.previousDay) {
+        this.elements.dateInput.value = event.detail.currentDay;
+      }
+    });
+  }
+  
+  /**
+   * Get the dates with a weight, oldest first
+   * @returns {Array<string>} Dates
+   */
+  getWeightDates() {
+    return Object.keys(this.history)
+      .filter(date => this.history[date].weight)
+      .sort();
+  }
+  
+  /**
+   * Get the latest recorded value of a measurement
+   * @param {string} field - 'weight', 'waist' or 'bodyFat'
+   * @returns {Object|null} { date, value }, or null if it was never recorded
+   */
+  getLatest(field) {
+    const date = Object.keys(this.history)
+      .filter(d => this.history[d][field])
+      .sort()
+      .pop();
+    
+    return date ? { date, value: this.history[date][field] } : null;
+  }
+  
+  /**
+   * Get the average weight of the BODY_AVERAGE_DAYS days ending on a date
+   * @param {string} date - Last day of the window (YYYY-MM-DD)
+   * @returns {number|null} Average weight in kg, or null if no weight was recorded
+   */
+  getMovingAverage(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    const start = utils.formatDate(new Date(year, month - 1, day - BODY_AVERAGE_DAYS + 1));
+    
+    const weights = this.getWeightDates()
+      .filter(d => d >= start && d <= date)
+      .map(d => this.history[d].weight);
+    
+    if (weights.length === 0) return null;
+    return weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
+  }
+  
+  /**
+   * Update the display with current data
+   */
+  updateDisplay() {
+    this.renderUnitLabels();
+    this.renderSummary();
+    this.renderChart();
+    this.showHistory();
+  }
+  
+  /**
+   * Show the display unit of each measurement next to its inputs
+   */
+  renderUnitLabels() {
+    document.querySelectorAll('.body-app .unit-label[data-unit]').forEach(label => {
+      label.textContent = units.getDisplayUnit(label.dataset.unit);
+    });
+  }
+  
+  /**
+   * Show the latest measurements and the weight trend
+   */
+  renderSummary() {
+    const weight = this.getLatest('weight');
+    const waist = this.getLatest('waist');
+    const bodyFat = this.getLatest('bodyFat');
+    
+    if (this.elements.latestWeight) {
+      this.elements.latestWeight.textContent = weight ? units.format(weight.value, 'kg') : '--';
+    }
+    
+    if (this.elements.averageWeight) {
+      let text = '--';
+      
+      if (weight) {
+        const average = this.getMovingAverage(weight.date);
+        const [year, month, day] = weight.date.split('-').map(Number);
+        const previous = this.getMovingAverage(utils.formatDate(new Date(year, month - 1, day - BODY_AVERAGE_DAYS)));
+        text = units.format(average, 'kg');
+        
+        if (previous !== null) {
+          const change = units.toDisplay(average - previous, 'kg');
+          text += ` (${change > 0 ? '+' : ''}${change} ${units.getDisplayUnit('kg')} vs. the week before)`;
+        }
+      }
+      
+      this.elements.averageWeight.textContent = text;
+    }
+    
+    if (this.elements.latestWaist) {
+      this.elements.latestWaist.textContent = waist ? units.format(waist.value, 'cm') : '--';
+    }
+    
+    if (this.elements.latestBodyFat) {
+      this.elements.latestBodyFat.textContent = bodyFat ? `${bodyFat.value}%` : '--';
+    }
+  }
+  
+  /**
+   * Draw the weights of the last BODY_CHART_DAYS days and their moving average
+   */
+  renderChart() {
+    if (!this.elements.chart) return;
+    
+    this.elements.chart.innerHTML = '';
+    
+    const latest = this.getLatest('weight');
+    const dates = latest ? this.getWeightDates() : [];
+    const [year, month, day] = latest ? latest.date.split('-').map(Number) : [];
+    const firstDay = latest ? new Date(year, month - 1, day - BODY_CHART_DAYS + 1) : null;
+    const shownDates = latest ? dates.filter(date => date >= utils.formatDate(firstDay)) : [];
+    
+    if (shownDates.length < 2) {
+      const note = document.createElement('p');
+      note.className = 'body-chart-note';
+      note.textContent = 'Log your weight on two or more days to see a trend.';
+      this.elements.chart.appendChild(note);
+      return;
+    }
+    
+    const points = shownDates.map(date => ({
+      date,
+      weight: this.history[date].weight,
+      average: this.getMovingAverage(date)
+    }));
+    
+    const values = points.flatMap(point => [point.weight, point.average]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    
+    const { width, height, padding } = BODY_CHART_SIZE;
+    const dayWidth = (width - padding * 2) / (BODY_CHART_DAYS - 1);
+    const toX = date => {
+      const [y, m, d] = date.split('-').map(Number);
+      return padding + Math.round((new Date(y, m - 1, d) - firstDay) / 86400000) * dayWidth;
+    };
+    const toY = value => height - padding - ((value - min) / range) * (height - padding * 2);
+    
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', `Weight over the last ${BODY_CHART_DAYS} days`);
+    
+    const addLine = (field, className) => {
+      const line = document.createElementNS(svgNS, 'polyline');
+      line.setAttribute('class', className);
+      line.setAttribute('points', points.map(point => `${toX(point.date).toFixed(1)},${toY(point[field]).toFixed(1)}`).join(' '));
+      svg.appendChild(line);
+    };
+    
+    addLine('weight', 'body-chart-weight');
+    addLine('average', 'body-chart-average');
+    
+    points.forEach(point => {
+      const dot = document.createElementNS(svgNS, 'circle');
+      dot.setAttribute('class', 'body-chart-point');
+      dot.setAttribute('cx', toX(point.date).toFixed(1));
+      dot.setAttribute('cy', toY(point.weight).toFixed(1));
+      dot.setAttribute('r', 2);
+      
+      const title = document.createElementNS(svgNS, 'title');
+      title.textContent = `${point.date}: ${units.format(point.weight, 'kg')}`;
+      dot.appendChild(title);
+      
+      svg.appendChild(dot);
+    });
+    
+    this.elements.chart.appendChild(svg);
+    
+    const labels = document.createElement('div');
+    labels.className = 'body-chart-labels';
+    labels.innerHTML = `<span>${units.format(min, 'kg')} - ${units.format(max, 'kg')}</span>` +
+      `<span>Dots: weight, line: ${BODY_AVERAGE_DAYS}-day average</span>`;
+    this.elements.chart.appendChild(labels);
+  }
+  
+  /**
+   * Show every measurement, newest first
+   */
+  showHistory() {
+    if (!this.elements.historyList) return;
+    
+    this.elements.historyList.innerHTML = '';
+    const fragment = document.createDocumentFragment();
+    const dates = Object.keys(this.history).sort((a, b) => b.localeCompare(a));
+    
+    if (dates.length === 0) {
+      const noData = document.createElement('p');
+      noData.textContent = 'No measurements recorded yet.';
+      fragment.appendChild(noData);
+    }
+    
+    dates.forEach(date => {
+      const entry = this.history[date];
+      
+      const dayEntry = document.createElement('div');
+      dayEntry.className = 'day-entry body-entry';
+      
+      const details = document.createElement('div');
+      
+      const dateText = document.createElement('p');
+      dateText.innerHTML = `<b>${date}</b>`;
+      details.appendChild(dateText);
+      
+      const parts = [];
+      if (entry.weight) parts.push(`Weight: ${units.format(entry.weight, 'kg')}`);
+      if (entry.waist) parts.push(`Waist: ${units.format(entry.waist, 'cm')}`);
+      if (entry.bodyFat) parts.push(`Body fat: ${entry.bodyFat}%`);
+      
+      const values = document.createElement('p');
+      values.textContent = parts.join(', ');
+      details.appendChild(values);
+      
+      dayEntry.appendChild(details);
+      
+      const editBtn = document.createElement('button');
+      editBtn.className = 'icon-btn';
+      editBtn.setAttribute('aria-label', 'Edit measurement');
+      editBtn.innerHTML = '<i class="material-icons-round">edit</i>';
+      editBtn.addEventListener('click', () => this.editMeasurement(date));
+      dayEntry.appendChild(editBtn);
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'icon-btn';
+      deleteBtn.setAttribute('aria-label', 'Delete measurement');
+      deleteBtn.innerHTML = '<i class="material-icons-round">delete</i>';
+      deleteBtn.addEventListener('click', () => {
+        if (confirm(`Delete the measurement of ${date}?`)) {
+          this.deleteMeasurement(date);
+        }
+      });
+      dayEntry.appendChild(deleteBtn);
+      
+      fragment.appendChild(dayEntry);
+    });
+    
+    this.elements.historyList.appendChild(fragment);
+  }
+  
+  /**
+   * Fill an input with a stored amount in the display unit
+   * @param {HTMLInputElement} input - Input to fill
+   * @param {number|null} amount - Amount in the canonical unit
+   * @param {string} unit - Canonical unit
+   */
+  setInput(input, amount, unit) {
+    const value = amount ? units.toDisplay(amount, unit) : '';
+    input.value = value;
+    
+    // Remember the stored amount so saving an unchanged value does not round it
+    input.dataset.amount = amount || '';
+    input.dataset.displayAmount = value;
+  }
+  
+  /**
+   * Read an input in the display unit
+   * @param {HTMLInputElement} input - Input to read
+   * @param {string} unit - Canonical unit
+   * @returns {number|null} Amount in the canonical unit, null if empty, or NaN if invalid
+   */
+  readInput(input, unit) {
+    if (input.value.trim() === '') return null;
+    
+    const value = parseFloat(input.value);
+    if (isNaN(value) || value <= 0) return NaN;
+    
+    const unchanged = input.dataset.amount !== '' && input.value === input.dataset.displayAmount;
+    return unchanged ? parseFloat(input.dataset.amount) : units.fromDisplay(value, unit);
+  }
+  
+  /**
+   * Clear the form and set its date to today
+   */
+  resetForm() {
+    if (!this.elements.dateInput) return;
+    
+    const today = utils.getTodayKey();
+    this.elements.dateInput.value = today;
+    this.elements.dateInput.max = today;
+    
+    this.setInput(this.elements.weightInput, null, 'kg');
+    this.setInput(this.elements.waistInput, null, 'cm');
+    this.elements.bodyFatInput.value = '';
+  }
+  
+  /**
+   * Load a measurement into the form so it can be changed
+   * @param {string} date - Date of the measurement
+   */
+  editMeasurement(date) {
+    const entry = this.history[date];
+    if (!entry) return;
+    
+    this.elements.dateInput.value = date;
+    this.setInput(this.elements.weightInput, entry.weight, 'kg');
+    this.setInput(this.elements.waistInput, entry.waist, 'cm');
+    this.elements.bodyFatInput.value = entry.bodyFat || '';
+    
+    this.elements.historyPanel.classList.remove('active');
+    this.elements.weightInput.focus();
+  }
+  
+  /**
+   * Save the measurement entered in the form. A day has one measurement, so saving a
+   * date that already has one replaces it.
+   */
+  saveMeasurement() {
+    const date = this.elements.dateInput.value;
+    const weight = this.readInput(this.elements.weightInput, 'kg');
+    const waist = this.readInput(this.elements.waistInput, 'cm');
+    const bodyFat = this.elements.bodyFatInput.value.trim() === '' ? null : parseFloat(this.elements.bodyFatInput.value);
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date > utils.getTodayKey()) {
+      utils.showToast('Please pick a date that is not in the future.', 'error');
+      return;
+    }
+    if (weight === null || isNaN(weight)) {
+      utils.showToast('Please enter a valid weight (a positive number).', 'error');
+      return;
+    }
+    if (isNaN(waist)) {
+      utils.showToast('Waist must be a positive number. Leave it empty to skip it.', 'error');
+      return;
+    }
+    if (bodyFat !== null && (isNaN(bodyFat) || bodyFat <= 0 || bodyFat >= 100)) {
+      utils.showToast('Body fat must be a percentage between 0 and 100. Leave it empty to skip it.', 'error');
+      return;
+    }
+    
+    const latest = this.getLatest('weight');
+    const record = { date, weight, waist, bodyFat, timestamp: new Date().toISOString() };
+    
+    this.history[date] = { weight, waist, bodyFat, timestamp: record.timestamp };
+    healthDB.put(DB_STORES.BODY, record).catch(error => healthDB.reportError(error));
+    
+    // Keep the goal calculator on the current weight
+    if (goalCalculator.getProfile() && (!latest || date >= latest.date)) {
+      goalCalculator.updateProfile({ weight });
+    }
+    
+    this.resetForm();
+    this.updateDisplay();
+    
+    utils.showToast(`Saved ${units.format(weight, 'kg')} for ${date}`, 'success');
+  }
+  
+  /**
+   * Delete the measurement of a day
+   * @param {string} date - Date of the measurement
+   */
+  deleteMeasurement(date) {
+    delete this.history[date];
+    healthDB.delete(DB_STORES.BODY, date).catch(error => healthDB.reportError(error));
+    
+    this.updateDisplay();
+    utils.showToast(`Deleted the measurement of ${date}`, 'warning');
+  }
+  
+  /**
+   * Reset all data for this tracker
+   */
+  resetAllData() {
+    healthDB.clear(DB_STORES.BODY)
+      .then(() => {
+        utils.showToast('All body measurements have been reset.', 'warning');
+        
+        // Reload the page to reset all instances
+        setTimeout(() => location.reload(), 1500);
+      })
+      .catch(error => healthDB.reportError(error));
+  }
+}
\ No newline at end of file
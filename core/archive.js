@@ -0,0 +1,316 @@
+/**
+ * Health Tracker App - History Archive
+ * This file contains the archival mode used when storage is tight. Detailed entries older
+ * than the kept window are compressed into one summary record per month (daily totals,
+ * workout counts and habit done/fail days) after a full copy has been downloaded.
+ */
+
+// Months of detailed history kept when archiving (including the current month)
+const ARCHIVE_DEFAULT_KEEP_MONTHS = 12;
+
+const historyArchive = {
+  // Prevents stacking prompts when several writes fail at once
+  isPrompting: false,
+  
+  /**
+   * Get how many months of detailed history to keep
+   * @returns {number} Months to keep
+   */
+  getKeepMonths() {
+    const months = parseInt(localStorage.getItem(STORAGE_KEYS.ARCHIVE_KEEP_MONTHS));
+    return months > 0 ? months : ARCHIVE_DEFAULT_KEEP_MONTHS;
+  },
+  
+  /**
+   * Get the first month whose detailed history is kept
+   * @param {number} keepMonths - Months to keep, including the current month
+   * @returns {string} Month key (YYYY-MM)
+   */
+  getCutoffMonth(keepMonths) {
+    const date = utils.getTrackingDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() - keepMonths + 1);
+    return utils.formatDate(date).slice(0, 7);
+  },
+  
+  /**
+   * Build the date key for a day of an archived month
+   * @param {string} month - Month key (YYYY-MM)
+   * @param {number} day - Day of the month
+   * @returns {string} Date key (YYYY-MM-DD)
+   */
+  toDateKey(month, day) {
+    return `${month}-${String(day).padStart(2, '0')}`;
+  },
+  
+  /**
+   * Collect daily intake summaries from archived months
+   * @param {Array<Object>} records - Intake archive records for one tracker
+   * @returns {Object} { 'YYYY-MM-DD': { total, count } }
+   */
+  getIntakeDays(records) {
+    const days = {};
+    records.forEach(record => {
+      Object.entries(record.days).forEach(([date, summary]) => {
+        days[date] = { total: summary.total, count: summary.count };
+      });
+    });
+    return days;
+  },
+  
+  /**
+   * Collect daily workout counts from archived months
+   * @param {Array<Object>} records - Workout archive records
+   * @returns {Object} { 'YYYY-MM-DD': { type: count } }
+   */
+  getWorkoutDays(records) {
+    const days = {};
+    records.forEach(record => {
+      Object.entries(record.days).forEach(([date, counts]) => {
+        days[date] = { ...counts };
+      });
+    });
+    return days;
+  },
+  
+  /**
+   * Fill habit histories with the done/fail days of archived months.
+   * Check-ins stored after archiving take precedence over the summary.
+   * @param {Array<Object>} habits - Habits list with history
+   * @param {Array<Object>} records - Habit archive records
+   */
+  applyHabitArchives(habits, records) {
+    const habitsById = {};
+    habits.forEach(habit => {
+      habitsById[habit.id] = habit;
+    });
+    
+    records.forEach(record => {
+      const habit = habitsById[record.habitId];
+      if (!habit) return;
+      
+      ['done', 'fail'].forEach(status => {
+        record[status].forEach(day => {
+          const dateKey = this.toDateKey(record.month, day);
+          if (!(dateKey in habit.history)) {
+            habit.history[dateKey] = status;
+          }
+        });
+      });
+    });
+  },
+  
+  /**
+   * Delete archived summaries whose id starts with a prefix
+   * @param {string} prefix - Summary id prefix, e.g. 'intake:water:'
+   * @returns {Promise<void>}
+   */
+  deleteSummaries(prefix) {
+    return healthDB.delete(DB_STORES.ARCHIVES, IDBKeyRange.bound(prefix, prefix + '\uffff'));
+  },
+  
+  /**
+   * Work out which records to compress and build their monthly summaries
+   * @param {string} cutoffMonth - First month to keep in detail (YYYY-MM)
+   * @returns {Promise<Object>} { summaries, intakeRecords, workoutRecords, checkinRecords }
+   */
+  async prepare(cutoffMonth) {
+    const [intake, workouts, checkins, habits, archives] = await Promise.all([
+      healthDB.getAll(DB_STORES.INTAKE),
+      healthDB.getAll(DB_STORES.WORKOUTS),
+      healthDB.getAll(DB_STORES.CHECKINS),
+      healthDB.getAll(DB_STORES.HABITS),
+      healthDB.getAll(DB_STORES.ARCHIVES)
+    ]);
+    
+    const isOld = record => record.date.slice(0, 7) < cutoffMonth;
+    const intakeRecords = intake.filter(isOld);
+    const workoutRecords = workouts.filter(isOld);
+    const checkinRecords = checkins.filter(isOld);
+    
+    // Start from existing summaries so re-archiving a month adds to it
+    const summaries = {};
+    archives.forEach(record => {
+      summaries[record.id] = record;
+    });
+    
+    const getSummary = (id, create) => {
+      if (!summaries[id]) {
+        summaries[id] = create();
+      }
+      return summaries[id];
+    };
+    
+    intakeRecords.forEach(record => {
+      const month = record.date.slice(0, 7);
+      const summary = getSummary(`intake:${record.tracker}:${month}`, () => ({
+        id: `intake:${record.tracker}:${month}`,
+        kind: 'intake',
+        tracker: record.tracker,
+        month,
+        total: 0,
+        count: 0,
+        days: {}
+      }));
+      
+      const day = summary.days[record.date] || (summary.days[record.date] = { total: 0, count: 0 });
+      day.total += record.amount;
+      day.count += 1;
+      summary.total += record.amount;
+      summary.count += 1;
+    });
+    
+    workoutRecords.forEach(record => {
+      const month = record.date.slice(0, 7);
+      const summary = getSummary(`workout:${month}`, () => ({
+        id: `workout:${month}`,
+        kind: 'workout',
+        month,
+        count: 0,
+        days: {}
+      }));
+      
+      const day = summary.days[record.date] || (summary.days[record.date] = {});
+      day[record.type] = (day[record.type] || 0) + 1;
+      summary.count += 1;
+    });
+    
+    // Check-ins of deleted habits have nothing to show, so they are dropped
+    const habitIds = new Set(habits.map(habit => habit.id));
+    
+    checkinRecords.forEach(record => {
+      if (!habitIds.has(record.habitId)) return;
+      
+      const month = record.date.slice(0, 7);
+      const summary = getSummary(`habit:${record.habitId}:${month}`, () => ({
+        id: `habit:${record.habitId}:${month}`,
+        kind: 'habit',
+        habitId: record.habitId,
+        month,
+        done: [],
+        fail: []
+      }));
+      
+      const day = parseInt(record.date.slice(8, 10));
+      summary.done = summary.done.filter(d => d !== day);
+      summary.fail = summary.fail.filter(d => d !== day);
+      if (record.status === 'done' || record.status === 'fail') {
+        summary[record.status].push(day);
+        summary[record.status].sort((a, b) => a - b);
+      }
+    });
+    
+    // Only summaries touched by this run need to be written
+    const touched = new Set([
+      ...intakeRecords.map(record => `intake:${record.tracker}:${record.date.slice(0, 7)}`),
+      ...workoutRecords.map(record => `workout:${record.date.slice(0, 7)}`),
+      ...checkinRecords.map(record => `habit:${record.habitId}:${record.date.slice(0, 7)}`)
+    ]);
+    
+    return {
+      summaries: Object.values(summaries).filter(summary => touched.has(summary.id)),
+      intakeRecords,
+      workoutRecords,
+      checkinRecords,
+      habits
+    };
+  },
+  
+  /**
+   * Build a downloadable copy of the detailed entries about to be compressed.
+   * The file uses the export format, so merging it back in later restores the detailed entries.
+   * @param {Object} prepared - Result of prepare()
+   * @param {string} cutoffMonth - First month kept in detail
+   * @returns {Object} Archive file contents
+   */
+  buildBackup(prepared, cutoffMonth) {
+    const intakeHistory = type => healthDB.toIntakeHistory(
+      prepared.intakeRecords.filter(record => record.tracker === type)
+    );
+    
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      version: EXPORT_APP_VERSION,
+      exportDate: new Date().toISOString(),
+      archive: { before: cutoffMonth },
+      water: { goal: null, history: intakeHistory('water') },
+      protein: { goal: null, history: intakeHistory('protein') },
+      customTrackers: customTrackers.getDefinitions()
+        .map(definition => ({ ...definition, goal: null, presets: null, history: intakeHistory(definition.id) }))
+        .filter(tracker => Object.keys(tracker.history).length > 0),
+      workout: { state: null, count: null, history: healthDB.toWorkoutHistory(prepared.workoutRecords) },
+      habits: { data: healthDB.toHabitList(prepared.habits, prepared.checkinRecords) },
+      settings: { theme: null, reminder: null }
+    };
+  },
+  
+  /**
+   * Compress detailed history older than the kept window into monthly summaries.
+   * A copy of the detailed entries is downloaded before anything is removed.
+   * @param {number} keepMonths - Months of detailed history to keep
+   * @returns {Promise<number>} Number of detailed records that were compressed
+   */
+  async archiveOldHistory(keepMonths) {
+    const cutoffMonth = this.getCutoffMonth(keepMonths);
+    const prepared = await this.prepare(cutoffMonth);
+    const recordCount = prepared.intakeRecords.length + prepared.workoutRecords.length + prepared.checkinRecords.length;
+    
+    if (recordCount === 0) return 0;
+    
+    utils.downloadFile(
+      JSON.stringify(this.buildBackup(prepared, cutoffMonth), null, 2),
+      `health-tracker-archive-before-${cutoffMonth}.json`,
+      'application/json'
+    );
+    
+    await healthDB.transaction(
+      [DB_STORES.INTAKE, DB_STORES.WORKOUTS, DB_STORES.CHECKINS, DB_STORES.ARCHIVES],
+      'readwrite',
+      tx => {
+        const archiveStore = tx.objectStore(DB_STORES.ARCHIVES);
+        prepared.summaries.forEach(summary => archiveStore.put(summary));
+        
+        prepared.intakeRecords.forEach(record => tx.objectStore(DB_STORES.INTAKE).delete(record.id));
+        prepared.workoutRecords.forEach(record => tx.objectStore(DB_STORES.WORKOUTS).delete(record.id));
+        prepared.checkinRecords.forEach(record => {
+          tx.objectStore(DB_STORES.CHECKINS).delete([record.habitId, record.date]);
+        });
+      }
+    );
+    
+    return recordCount;
+  },
+  
+  /**
+   * Ask the user to archive old history, then reload to show the compressed data
+   * @param {string} [reason] - Why archiving is being offered
+   * @returns {Promise<void>}
+   */
+  async promptArchive(reason) {
+    if (this.isPrompting) return;
+    this.isPrompting = true;
+    
+    try {
+      const keepMonths = this.getKeepMonths();
+      const message = `${reason ? reason + ' ' : ''}Archive history older than ${keepMonths} months? ` +
+        'Old entries will be compressed into monthly summaries, and a copy of them will be downloaded first.';
+      
+      if (!confirm(message)) return;
+      
+      const recordCount = await this.archiveOldHistory(keepMonths);
+      
+      if (recordCount === 0) {
+        utils.showToast(`No history older than ${keepMonths} months to archive.`, 'warning');
+        return;
+      }
+      
+      utils.showToast(`Archived ${recordCount} entries into monthly summaries. Reloading app...`, 'success');
+      setTimeout(() => location.reload(), 1500);
+    } catch (error) {
+      console.error('Archive error:', error);
+      utils.showToast(`Error archiving history: ${error.message}`, 'error');
+    } finally {
+      this.isPrompting = false;
+    }
+  }
+};
\ No newline at end of file
@@ -3,7 +3,7 @@
  * This file contains the core functionality, constants, utility functions, and data management
  */
 
-// Storage Manager for quota handling
+// Storage Manager for localStorage settings and storage quota handling
 const storageManager = {
   // Test if localStorage is available
   isAvailable: function() {
@@ -17,7 +17,7 @@ const storageManager = {
     }
   },
   
-  // Estimate current usage
+  // Estimate current localStorage usage
   getUsage: function() {
     let total = 0;
     for (let i = 0; i < localStorage.length; i++) {
@@ -28,88 +28,26 @@ const storageManager = {
     return total;
   },
   
-  // Estimate remaining space (approximate)
-  getRemainingSpace: function() {
-    const maxSize = 5 * 1024 * 1024; // Assume 5MB limit
-    return maxSize - this.getUsage();
-  },
-  
-  // Check if we're near the quota
-  isNearQuota: function() {
-    const maxSize = 5 * 1024 * 1024; // Assume 5MB limit
-    const currentUsage = this.getUsage();
-    return currentUsage > maxSize * 0.9; // 90% full
+  // Check if the origin is near its storage quota (history lives in IndexedDB)
+  isNearQuota: async function() {
+    if (!navigator.storage || !navigator.storage.estimate) return false;
+    
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return quota > 0 && usage > quota * 0.9; // 90% full
+    } catch (e) {
+      return false;
+    }
   },
   
-  // Clean up old history data to free space
-  cleanupOldData: function() {
+  // Ask the browser not to evict our data under storage pressure
+  requestPersistence: async function() {
+    if (!navigator.storage || !navigator.storage.persist) return false;
+    
     try {
-      // Start with old history entries
-      const historyKeys = [
-        STORAGE_KEYS.HISTORY_PREFIX + 'water',
-        STORAGE_KEYS.HISTORY_PREFIX + 'protein',
-        'workout_history',
-        'habits_data'
-      ];
-      
-      let cleanedUp = false;
-      
-      // Process each history object
-      historyKeys.forEach(key => {
-        try {
-          const historyData = localStorage.getItem(key);
-          if (!historyData) return;
-          
-          const history = JSON.parse(historyData);
-          
-          // Ensure we have the right data structure
-          if (typeof history !== 'object') return;
-          
-          // For habits data, handle the special format
-          if (key === 'habits_data') {
-            const habits = history;
-            if (Array.isArray(habits)) {
-              habits.forEach(habit => {
-                if (habit.history) {
-                  // Keep only last 90 days of history for each habit
-                  const dates = Object.keys(habit.history).sort();
-                  if (dates.length > 90) {
-                    const datesToRemove = dates.slice(0, dates.length - 90);
-                    datesToRemove.forEach(date => {
-                      delete habit.history[date];
-                    });
-                    cleanedUp = true;
-                  }
-                }
-              });
-              
-              // Save back
-              localStorage.setItem(key, JSON.stringify(habits));
-            }
-          } else {
-            // Standard history object with dates as keys
-            const dates = Object.keys(history).sort();
-            
-            // If we have more than 90 days of history, remove oldest
-            if (dates.length > 90) {
-              const datesToRemove = dates.slice(0, dates.length - 90);
-              datesToRemove.forEach(date => {
-                delete history[date];
-              });
-              
-              // Save back
-              localStorage.setItem(key, JSON.stringify(history));
-              cleanedUp = true;
-            }
-          }
-        } catch (e) {
-          console.error(`Error cleaning up ${key}:`, e);
-        }
-      });
-      
-      return cleanedUp;
+      if (await navigator.storage.persisted()) return true;
+      return await navigator.storage.persist();
     } catch (e) {
-      console.error('Error in cleanup:', e);
       return false;
     }
   },
@@ -120,28 +58,11 @@ const storageManager = {
       localStorage.setItem(key, value);
       return true;
     } catch (e) {
-      // If storage error, try to clean up
       if (e.name === 'QuotaExceededError' || 
           e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
           e.code === 22) {
-        
-        // Try cleanup
-        const cleaned = this.cleanupOldData();
-        
-        if (cleaned) {
-          // Try again after cleanup
-          try {
-            localStorage.setItem(key, value);
-            utils.showToast('Older history has been archived to free up storage space.', 'info');
-            return true;
-          } catch (e2) {
-            utils.showToast('Storage limit reached. Please export and clear some data.', 'error');
-            return false;
-          }
-        } else {
-          utils.showToast('Storage limit reached. Please export and clear some data.', 'error');
-          return false;
-        }
+        utils.showToast('Storage limit reached. Please export and clear some data.', 'error');
+        return false;
       }
       
       // Other error
@@ -156,16 +77,31 @@ const STORAGE_KEYS = {
   THEME: 'app_theme',
   LAST_RESET_PREFIX: 'lastResetDate_',
   GOAL_PREFIX: 'goal_',
+  GOAL_TYPE_PREFIX: 'goal_type_',
+  GOAL_HISTORY_PREFIX: 'goal_history_',
   INTAKE_PREFIX: 'intake_',
   HISTORY_PREFIX: 'history_',
-  REMINDER: 'global_reminder'
+  REMINDER: 'global_reminder',
+  ARCHIVE_KEEP_MONTHS: 'archive_keep_months',
+  PRESETS_PREFIX: 'presets_',
+  PACING_PREFIX: 'pacing_',
+  UNIT_SYSTEM: 'unit_system',
+  DAY_START_HOUR: 'day_start_hour',
+  HOME_TIME_ZONE: 'home_time_zone',
+  BODY_PROFILE: 'body_profile',
+  FOOD_LIBRARY: 'food_library',
+  CUSTOM_TRACKERS: 'custom_trackers'
 };
 
+// Latest hour the tracking day can start at (noon)
+const DAY_START_MAX_HOUR = 12;
+
 // Theme colors for different sections
 const THEME_COLORS = {
   water: '#2196F3',
   protein: '#F44336',
   workout: '#673AB7',
+  body: '#009688',
   habits: '#4CAF50'  
 };
 
@@ -198,6 +134,107 @@ const utils = {
     return `${year}-${month}-${day}`;
   },
   
+  /**
+   * Get the hour the tracking day starts at. Entries logged before it count toward the previous day.
+   * @returns {number} Hour from 0 (midnight) to DAY_START_MAX_HOUR
+   */
+  getDayStartHour() {
+    const hour = parseInt(localStorage.getItem(STORAGE_KEYS.DAY_START_HOUR));
+    return hour >= 0 && hour <= DAY_START_MAX_HOUR ? hour : 0;
+  },
+  
+  /**
+   * Format a day-start hour for display
+   * @param {number} hour - Hour from getDayStartHour()
+   * @returns {string} "midnight" or a local time such as "4:00 AM"
+   */
+  formatDayStart(hour) {
+    if (hour === 0) return 'midnight';
+    return new Date(2000, 0, 1, hour).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  },
+  
+  /**
+   * Get the tracking day a moment belongs to, in the home time zone if one is chosen
+   * @param {Date} [date=new Date()] - Moment
+   * @param {string} [timeZone] - Time zone the moment was logged in (defaults to this device's)
+   * @returns {Date} Date holding the wall-clock time of the moment, moved back one calendar day if it is before the day-start hour
+   */
+  getTrackingDate(date = new Date(), timeZone) {
+    const zone = timeZones.getHomeTimeZone() || timeZone;
+    let d = new Date(date);
+    
+    if (timeZones.isValid(zone)) {
+      const parts = timeZones.getParts(d, zone);
+      d = new Date(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes);
+    }
+    if (d.getHours() < this.getDayStartHour()) {
+      d.setDate(d.getDate() - 1);
+    }
+    return d;
+  },
+  
+  /**
+   * Get the date key of the tracking day a moment belongs to
+   * @param {Date} date - Moment
+   * @param {string} [timeZone] - Time zone the moment was logged in (defaults to this device's)
+   * @returns {string} Date key (YYYY-MM-DD)
+   */
+  getDateKey(date, timeZone) {
+    return this.formatDate(this.getTrackingDate(date, timeZone));
+  },
+  
+  /**
+   * Get the date key of the current tracking day
+   * @returns {string} Date key (YYYY-MM-DD)
+   */
+  getTodayKey() {
+    return this.getDateKey(new Date());
+  },
+  
+  /**
+   * Get the moment a time of day falls on within a tracking day. Times before the
+   * day-start hour fall in the night after the calendar date.
+   * @param {string} date - Date key of the tracking day (YYYY-MM-DD)
+   * @param {number} hours - Hours (0-23)
+   * @param {number} minutes - Minutes
+   * @param {string} [timeZone] - Time zone of the time (defaults to this device's)
+   * @returns {Date} Moment
+   */
+  getTimeOnDay(date, hours, minutes, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const nextDay = hours < this.getDayStartHour() ? 1 : 0;
+    
+    if (timeZones.isValid(timeZone)) {
+      return timeZones.toDate(year, month, day + nextDay, hours, minutes, timeZone);
+    }
+    return new Date(year, month - 1, day + nextDay, hours, minutes);
+  },
+  
+  /**
+   * Get the time left until the next tracking day starts
+   * @returns {number} Milliseconds until the next day-start hour
+   */
+  getMsUntilNextDay() {
+    const now = new Date();
+    const home = timeZones.getHomeTimeZone();
+    
+    // With a home time zone the day starts by the clock at home
+    if (home) {
+      const parts = timeZones.getParts(now, home);
+      let next = timeZones.toDate(parts.year, parts.month, parts.day, this.getDayStartHour(), 0, home);
+      if (next <= now) {
+        next = timeZones.toDate(parts.year, parts.month, parts.day + 1, this.getDayStartHour(), 0, home);
+      }
+      return next - now;
+    }
+    
+    const next = new Date(now.getFullYear(), now.getMonth(), now.getDate(), this.getDayStartHour());
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next - now;
+  },
+  
   // Add date comparison function to handle different formats
   isSameDay(date1, date2) {
     // Convert to Date objects if they aren't already
@@ -268,6 +305,74 @@ const utils = {
     }
   },
   
+  /**
+   * Find the goal change that was in effect on a day
+   * @param {Array<Object>} goalHistory - Goal changes as { date, goal, goalType, weekdays, until }, sorted by date.
+   *   The goalType is 'target' or 'limit'.
+   *   The optional weekdays array holds a goal per day of the week (Sunday first, null for the default).
+   *   A change with an until date ends on that day, and the goal it interrupted applies again.
+   *   While it lasts it takes precedence over changes without an until date, even ones made later.
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {Object|null} Goal change, or null if no goal was ever set
+   */
+  getGoalChange(goalHistory, date) {
+    if (!Array.isArray(goalHistory) || goalHistory.length === 0) return null;
+    
+    const applying = goalHistory.filter(entry => entry.date <= date && !(entry.until && entry.until < date));
+    const ranged = applying.filter(entry => entry.until);
+    if (ranged.length > 0) return ranged[ranged.length - 1];
+    if (applying.length > 0) return applying[applying.length - 1];
+    
+    // Days before the first recorded change use the earliest known goal
+    return goalHistory.find(entry => !entry.until) || null;
+  },
+  
+  /**
+   * Find the goal that was in effect on a day
+   * @param {Array<Object>} goalHistory - Goal changes, see getGoalChange()
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {number|null} Goal, or null if no goal was ever set
+   */
+  getGoalForDate(goalHistory, date) {
+    const change = this.getGoalChange(goalHistory, date);
+    if (!change) return null;
+    
+    if (Array.isArray(change.weekdays)) {
+      const [year, month, day] = date.split('-').map(Number);
+      const weekdayGoal = change.weekdays[new Date(year, month - 1, day).getDay()];
+      if (weekdayGoal > 0) return weekdayGoal;
+    }
+    
+    return change.goal;
+  },
+  
+  /**
+   * Find whether the goal in effect on a day was a target or a limit
+   * @param {Array<Object>} goalHistory - Goal changes, see getGoalChange()
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {string|null} 'target' or 'limit', or null if no goal was ever set
+   */
+  getGoalTypeForDate(goalHistory, date) {
+    const change = this.getGoalChange(goalHistory, date);
+    if (!change) return null;
+    
+    return change.goalType === 'limit' ? 'limit' : 'target';
+  },
+  
+  /**
+   * Escape text for use in HTML markup
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+  
   /**
    * Create and show a toast notification with improved stability
    * @param {string} message - Message to display
@@ -331,31 +436,122 @@ const utils = {
     
     // Set the color
     metaThemeColor.setAttribute('content', color);
+  },
+  
+  /**
+   * Download content as a file
+   * @param {string|Blob} content - File contents
+   * @param {string} filename - Name of the downloaded file
+   * @param {string} mimeType - MIME type of the file
+   */
+  downloadFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    // Create download link
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    
+    // Trigger download
+    document.body.appendChild(link);
+    link.click();
+    
+    // Clean up
+    setTimeout(() => {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url); // Free memory
+    }, 100);
+  },
+  
+  /**
+   * Read a file selected by the user
+   * @param {File} file - File to read
+   * @param {boolean} [asArrayBuffer] - Read binary data instead of text
+   * @returns {Promise<string|ArrayBuffer>} File contents
+   */
+  readFile(file, asArrayBuffer = false) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Error reading file. Please try again.'));
+      
+      if (asArrayBuffer) {
+        reader.readAsArrayBuffer(file);
+      } else {
+        reader.readAsText(file);
+      }
+    });
   }
 };
 
 /**
  * Initialize the application when DOM is fully loaded
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   // Check if localStorage is available
   if (!storageManager.isAvailable()) {
     alert('Your browser does not support local storage or it is disabled. The app may not work properly.');
     return;
   }
   
-  // Check if we're near quota
-  if (storageManager.isNearQuota()) {
-    utils.showToast('Storage space is running low. Consider exporting and clearing old data.', 'warning');
+  // Check if IndexedDB is available
+  if (!healthDB.isAvailable()) {
+    alert('Your browser does not support IndexedDB or it is disabled. The app may not work properly.');
+    return;
+  }
+  
+  // Open the database, run schema migrations on stored data and move any history
+  // left in localStorage by older versions
+  let databaseOpen = false;
+  try {
+    await healthDB.open();
+    databaseOpen = true;
+  } catch (error) {
+    console.error('Database initialization error:', error);
+    utils.showToast('Unable to open the local database. Your data will not be saved.', 'error');
+  }
+  
+  if (databaseOpen) {
+    // Data from a newer version of the app, or data that could not be upgraded, must not be
+    // written to, so the app stops before any tracker is created
+    try {
+      if (await dataSchema.upgradeStoredData()) {
+        utils.showToast('Your data has been upgraded to the latest format.', 'success');
+      }
+    } catch (error) {
+      console.error('Schema upgrade error:', error);
+      alert(error.message);
+      return;
+    }
     
-    // Try to clean up automatically
-    storageManager.cleanupOldData();
+    try {
+      if (await dataSchema.migrateLocalStorage()) {
+        utils.showToast('Your history has been moved to the new storage.', 'success');
+      }
+    } catch (error) {
+      console.error('Local storage migration error:', error);
+      utils.showToast('Unable to move your old history to the new storage. It stays where it was.', 'error');
+    }
+  }
+  
+  // Keep history from being evicted and offer to archive old history if we're near quota
+  storageManager.requestPersistence();
+  
+  if (await storageManager.isNearQuota()) {
+    utils.showToast('Storage space is running low. Consider exporting or archiving your data.', 'warning');
+    historyArchive.promptArchive('Storage space is running low.');
   }
 
   // Initialize trackers
   window.waterTracker = new Tracker({ type: 'water', unit: 'ml' });
   window.proteinTracker = new Tracker({ type: 'protein', unit: 'g' });
+  
+  // Build the tabs and panels of user-defined trackers before the UI is wired up
+  customTrackers.initialize();
+  
   window.workoutTracker = new WorkoutTracker();
+  window.bodyTracker = new BodyTracker();
   window.habitsTracker = new HabitsTracker(); // Initialize habits tracker
   
   // Set up theme
@@ -367,15 +563,47 @@ document.addEventListener('DOMContentLoaded', () => {
   // Set up panels (settings, history, more options)
   initializePanels();
   
+  // Wait for tracker data to load from the database
+  await Promise.all([
+    waterTracker.ready,
+    proteinTracker.ready,
+    ...customTrackers.instances.map(tracker => tracker.ready),
+    workoutTracker.ready,
+    bodyTracker.ready,
+    habitsTracker.ready
+  ]);
+  
   // Set up action buttons for water tracker
   initializeTrackerActions(waterTracker);
   
   // Set up action buttons for protein tracker
   initializeTrackerActions(proteinTracker);
   
+  // Set up action buttons and management of custom trackers
+  customTrackers.instances.forEach(tracker => initializeTrackerActions(tracker));
+  customTrackers.initializeManager();
+  
+  // Set up the metric/imperial preference
+  units.initialize();
+  
+  // Set up the hour the tracking day starts at, the home time zone and watch for day changes
+  initializeDayStart();
+  timeZones.initialize();
+  dayChange.initialize();
+  
+  // Set up the body-weight goal calculator
+  goalCalculator.initialize();
+  
+  // Set up the food library for protein logging
+  foodLibrary.initialize();
+  foodDatabase.initialize();
+  
   // Set up action buttons for workout tracker
   initializeWorkoutTrackerActions(workoutTracker);
   
+  // Set up action buttons for body tracker
+  initializeBodyTrackerActions(bodyTracker);
+  
   // Set up global notifications
   initializeGlobalNotifications();
   
@@ -402,45 +630,67 @@ function initializeDataManagement() {
     exportBtn.addEventListener('click', exportData);
   }
   
+  // Export CSV button
+  const exportCsvBtn = document.getElementById('export-csv');
+  if (exportCsvBtn) {
+    exportCsvBtn.addEventListener('click', exportCsvData);
+  }
+  
   // Import data file input
   const importFileInput = document.getElementById('import-file');
   if (importFileInput) {
     importFileInput.addEventListener('change', importData);
   }
+  
+  // Merge backup file input
+  const mergeFileInput = document.getElementById('merge-file');
+  if (mergeFileInput) {
+    mergeFileInput.addEventListener('change', mergeImportData);
+  }
+  
+  // CSV file input and column mapping panel
+  const csvFileInput = document.getElementById('import-csv-file');
+  if (csvFileInput) {
+    csvFileInput.addEventListener('change', importCsvData);
+  }
+  csvData.initializeImport();
+  
+  // Loop Habit Tracker export input
+  const loopFileInput = document.getElementById('import-loop-file');
+  if (loopFileInput) {
+    loopFileInput.addEventListener('change', importLoopData);
+  }
+  
+  // Import preview panel
+  importPreview.initialize();
+  
+  // Archive old history
+  const archiveMonthsInput = document.getElementById('archive-keep-months');
+  const archiveBtn = document.getElementById('archive-history');
+  if (archiveMonthsInput && archiveBtn) {
+    archiveMonthsInput.value = historyArchive.getKeepMonths();
+    
+    archiveBtn.addEventListener('click', () => {
+      const months = parseInt(archiveMonthsInput.value);
+      
+      if (isNaN(months) || months < 1) {
+        utils.showToast('Please enter at least 1 month of history to keep.', 'error');
+        return;
+      }
+      
+      localStorage.setItem(STORAGE_KEYS.ARCHIVE_KEEP_MONTHS, months);
+      historyArchive.promptArchive();
+    });
+  }
 }
 
 /**
  * Export tracking data to JSON file with improved error handling
  */
-function exportData() {
+async function exportData() {
   try {
     // Collect all data
-    const exportData = {
-      version: "2.0", // Add version for future compatibility
-      exportDate: new Date().toISOString(),
-      water: {
-        goal: localStorage.getItem(STORAGE_KEYS.GOAL_PREFIX + 'water'),
-        intake: localStorage.getItem(STORAGE_KEYS.INTAKE_PREFIX + 'water'),
-        history: localStorage.getItem(STORAGE_KEYS.HISTORY_PREFIX + 'water')
-      },
-      protein: {
-        goal: localStorage.getItem(STORAGE_KEYS.GOAL_PREFIX + 'protein'),
-        intake: localStorage.getItem(STORAGE_KEYS.INTAKE_PREFIX + 'protein'),
-        history: localStorage.getItem(STORAGE_KEYS.HISTORY_PREFIX + 'protein')
-      },
-      workout: {
-        state: localStorage.getItem('workout_state'),
-        count: localStorage.getItem('workout_count'),
-        history: localStorage.getItem('workout_history')
-      },
-      habits: {
-        data: localStorage.getItem('habits_data')
-      },
-      settings: {
-        theme: localStorage.getItem(STORAGE_KEYS.THEME),
-        reminder: localStorage.getItem(STORAGE_KEYS.REMINDER)
-      }
-    };
+    const exportData = await dataSchema.createSnapshot();
     
     // Validate data before export
     let dataIsValid = true;
@@ -457,25 +707,9 @@ function exportData() {
       return;
     }
     
-    // Convert to JSON
+    // Convert to JSON and download
     const jsonString = JSON.stringify(exportData, null, 2); // Pretty print with indentation
-    const jsonBlob = new Blob([jsonString], { type: 'application/json' });
-    const jsonUrl = URL.createObjectURL(jsonBlob);
-    
-    // Create download link
-    const link = document.createElement('a');
-    link.setAttribute('href', jsonUrl);
-    link.setAttribute('download', `health-tracker-export-${new Date().toISOString().slice(0,10)}.json`);
-    
-    // Trigger download
-    document.body.appendChild(link);
-    link.click();
-    
-    // Clean up
-    setTimeout(() => {
-      document.body.removeChild(link);
-      URL.revokeObjectURL(jsonUrl); // Free memory
-    }, 100);
+    utils.downloadFile(jsonString, `health-tracker-export-${new Date().toISOString().slice(0,10)}.json`, 'application/json');
     
     utils.showToast('Data exported successfully!', 'success');
     
@@ -488,166 +722,329 @@ function exportData() {
 }
 
 /**
- * Import tracking data from JSON file with enhanced validation
- * @param {Event} event - Change event from file input
+ * Export tracking data to CSV, as one file or as a ZIP with one file per tracker
  */
-function importData(event) {
-  const file = event.target.files[0];
-  if (!file) return;
-  
+async function exportCsvData() {
+  try {
+    const zipInput = document.getElementById('csv-export-zip');
+    await csvData.exportCsv(!!(zipInput && zipInput.checked));
+    
+    // Close the panel
+    document.getElementById('more-options-panel').classList.remove('active');
+  } catch (error) {
+    console.error('CSV export error:', error);
+    utils.showToast(`Error exporting CSV: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Read, validate and upgrade an import file
+ * @param {File} file - JSON file selected by the user
+ * @returns {Promise<Object>} Current-schema snapshot from the file
+ */
+function readImportFile(file) {
   // Validate file size
   if (file.size > 5 * 1024 * 1024) { // 5MB limit
-    utils.showToast('File is too large. Maximum size is 5MB.', 'error');
-    event.target.value = '';
-    return;
+    return Promise.reject(new Error('File is too large. Maximum size is 5MB.'));
   }
   
   // Validate file type
   if (file.type !== 'application/json' && !file.name.endsWith('.json')) {
-    utils.showToast('Invalid file type. Please upload a JSON file.', 'error');
-    event.target.value = '';
-    return;
+    return Promise.reject(new Error('Invalid file type. Please upload a JSON file.'));
   }
   
-  const reader = new FileReader();
-  
-  reader.onload = function(e) {
-    try {
-      // Parse JSON with detailed error handling
-      let importedData;
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    
+    reader.onload = function(e) {
       try {
-        importedData = JSON.parse(e.target.result);
-      } catch (parseError) {
-        throw new Error('File is not valid JSON. Please ensure the file is correctly formatted.');
-      }
-      
-      // Validate the data structure with specific checks
-      if (!importedData) {
-        throw new Error('Import file is empty or corrupt.');
-      }
-      
-      // Check for required sections
-      const requiredSections = ['water', 'protein'];
-      const missingSections = requiredSections.filter(section => !importedData[section]);
-      
-      if (missingSections.length > 0) {
-        throw new Error(`Import file is missing required sections: ${missingSections.join(', ')}.`);
-      }
-      
-      // Validate data format of each section
-      for (const section of requiredSections) {
-        if (importedData[section]) {
-          if (typeof importedData[section] !== 'object') {
-            throw new Error(`Section "${section}" has invalid format.`);
+        // Parse JSON with detailed error handling
+        let importedData;
+        try {
+          importedData = JSON.parse(e.target.result);
+        } catch (parseError) {
+          throw new Error('File is not valid JSON. Please ensure the file is correctly formatted.');
+        }
+        
+        // Validate the data structure with specific checks
+        if (!importedData || typeof importedData !== 'object') {
+          throw new Error('Import file is empty or corrupt.');
+        }
+        
+        // Check for required sections
+        const requiredSections = ['water', 'protein'];
+        const missingSections = requiredSections.filter(section => !importedData[section]);
+        
+        if (missingSections.length > 0) {
+          throw new Error(`Import file is missing required sections: ${missingSections.join(', ')}.`);
+        }
+        
+        // Validate data format of each section
+        for (const section of requiredSections) {
+          if (importedData[section]) {
+            if (typeof importedData[section] !== 'object') {
+              throw new Error(`Section "${section}" has invalid format.`);
+            }
           }
         }
+        
+        // Upgrade older files to the current schema (refuses files from newer versions)
+        resolve(dataSchema.migrate(importedData));
+      } catch (error) {
+        reject(error);
       }
+    };
+    
+    reader.onerror = function() {
+      reject(new Error('Error reading file. Please try again.'));
+    };
+    
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Import tracking data from JSON file, replacing the sections picked in the preview
+ * @param {Event} event - Change event from file input
+ */
+async function importData(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  // Reset the file input so the same file can be picked again
+  event.target.value = '';
+  
+  try {
+    const fileData = await readImportFile(file);
+    
+    // Let the user compare the file with the current data and pick sections
+    const sections = await importPreview.open({
+      mode: 'replace',
+      importedData: fileData,
+      currentData: await dataSchema.createSnapshot()
+    });
+    
+    if (sections) {
+      const importedData = importPreview.pickSections(fileData, sections);
       
-      // Version compatibility check
-      if (importedData.version && importedData.version > "2.0") {
-        utils.showToast('This file was created with a newer version of the app. Some features may not import correctly.', 'warning');
-      }
+      // Prepare history sections before touching any stored data
+      const storeData = dataSchema.toStoreData(importedData);
+      storeData.meta[DB_META_KEYS.SCHEMA_VERSION] = SCHEMA_VERSION;
       
-      // Calculate estimated storage requirements
-      const importSize = JSON.stringify(importedData).length;
-      const availableSpace = 5 * 1024 * 1024; // Approximate localStorage limit (5MB)
+      // A selected section without history in the file still replaces the current history
+      ['water', 'protein'].filter(type => sections.includes(type)).forEach(type => {
+        storeData.intake[type] = storeData.intake[type] || {};
+      });
+      (importedData.customTrackers || []).forEach(tracker => {
+        storeData.intake[tracker.id] = storeData.intake[tracker.id] || {};
+      });
+      if (sections.includes('workout')) storeData.workouts = storeData.workouts || {};
+      if (sections.includes('habits')) storeData.habits = storeData.habits || [];
+      if (sections.includes('body')) storeData.body = storeData.body || {};
       
-      if (importSize > availableSpace * 0.9) { // If import would use more than 90% of storage
-        throw new Error('Import file is too large for browser storage. Please try a smaller export file.');
+      // Start with a backup of the settings kept in localStorage
+      const backup = {};
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        backup[key] = localStorage.getItem(key);
       }
       
-      // Confirm before importing
-      if (confirm('This will replace your current tracking data. Are you sure you want to proceed?')) {
-        // Start with a backup
-        const backup = {};
-        for (let i = 0; i < localStorage.length; i++) {
-          const key = localStorage.key(i);
-          backup[key] = localStorage.getItem(key);
-        }
-        
-        try {
-          // Import water data
-          if (importedData.water.goal) {
-            localStorage.setItem(STORAGE_KEYS.GOAL_PREFIX + 'water', importedData.water.goal);
-          }
-          if (importedData.water.intake) {
-            localStorage.setItem(STORAGE_KEYS.INTAKE_PREFIX + 'water', importedData.water.intake);
-          }
-          if (importedData.water.history) {
-            localStorage.setItem(STORAGE_KEYS.HISTORY_PREFIX + 'water', importedData.water.history);
-          }
-          
-          // Import protein data
-          if (importedData.protein.goal) {
-            localStorage.setItem(STORAGE_KEYS.GOAL_PREFIX + 'protein', importedData.protein.goal);
-          }
-          if (importedData.protein.intake) {
-            localStorage.setItem(STORAGE_KEYS.INTAKE_PREFIX + 'protein', importedData.protein.intake);
-          }
-          if (importedData.protein.history) {
-            localStorage.setItem(STORAGE_KEYS.HISTORY_PREFIX + 'protein', importedData.protein.history);
-          }
-          
-          // Import workout data if available
-          if (importedData.workout) {
-            if (importedData.workout.state) {
-              localStorage.setItem('workout_state', importedData.workout.state);
-            }
-            if (importedData.workout.count) {
-              localStorage.setItem('workout_count', importedData.workout.count);
-            }
-            if (importedData.workout.history) {
-              localStorage.setItem('workout_history', importedData.workout.history);
-            }
-          }
-          
-          // Import habits data if available
-          if (importedData.habits && importedData.habits.data) {
-            localStorage.setItem('habits_data', importedData.habits.data);
+      try {
+        // Import water and protein settings
+        ['water', 'protein'].forEach(type => {
+          if (importedData[type].goal) {
+            localStorage.setItem(STORAGE_KEYS.GOAL_PREFIX + type, importedData[type].goal);
           }
-          
-          // Import settings
-          if (importedData.settings && importedData.settings.theme) {
-            localStorage.setItem(STORAGE_KEYS.THEME, importedData.settings.theme);
+          if (importedData[type].goalHistory && importedData[type].goalHistory.length > 0) {
+            localStorage.setItem(STORAGE_KEYS.GOAL_HISTORY_PREFIX + type, JSON.stringify(importedData[type].goalHistory));
           }
-          if (importedData.settings && importedData.settings.reminder) {
-            localStorage.setItem(STORAGE_KEYS.REMINDER, importedData.settings.reminder);
+          if (Array.isArray(importedData[type].presets)) {
+            localStorage.setItem(STORAGE_KEYS.PRESETS_PREFIX + type, JSON.stringify(Tracker.normalizePresets(importedData[type].presets)));
           }
-          
-          utils.showToast('Data imported successfully! Reloading app...', 'success');
-          
-          // Reload the page to apply imported data
-          setTimeout(() => location.reload(), 1500);
-        } catch (storageError) {
-          // Restore backup if import fails
-          console.error('Storage error during import:', storageError);
-          
-          // Clear localStorage first
-          localStorage.clear();
-          
-          // Restore backup
-          Object.keys(backup).forEach(key => {
-            localStorage.setItem(key, backup[key]);
-          });
-          
-          throw new Error('Error saving imported data. Your previous data has been restored.');
+        });
+        if (Tracker.normalizePacing(importedData.water.pacing)) {
+          localStorage.setItem(STORAGE_KEYS.PACING_PREFIX + 'water', JSON.stringify(Tracker.normalizePacing(importedData.water.pacing)));
+        }
+        if (Array.isArray(importedData.protein.foods)) {
+          foodLibrary.saveFoods(foodLibrary.normalizeFoods(importedData.protein.foods));
+        }
+        customTrackers.applySettings(importedData.customTrackers);
+        
+        // Import settings
+        if (importedData.settings && importedData.settings.theme) {
+          localStorage.setItem(STORAGE_KEYS.THEME, importedData.settings.theme);
+        }
+        if (importedData.settings && importedData.settings.reminder) {
+          localStorage.setItem(STORAGE_KEYS.REMINDER, importedData.settings.reminder);
         }
+        if (importedData.settings && UNIT_SYSTEMS[importedData.settings.unitSystem]) {
+          localStorage.setItem(STORAGE_KEYS.UNIT_SYSTEM, importedData.settings.unitSystem);
+        }
+        if (importedData.settings && Number.isInteger(importedData.settings.dayStartHour) &&
+            importedData.settings.dayStartHour >= 0 && importedData.settings.dayStartHour <= DAY_START_MAX_HOUR) {
+          localStorage.setItem(STORAGE_KEYS.DAY_START_HOUR, importedData.settings.dayStartHour);
+        }
+        if (importedData.settings && timeZones.isValid(importedData.settings.homeTimeZone)) {
+          localStorage.setItem(STORAGE_KEYS.HOME_TIME_ZONE, importedData.settings.homeTimeZone);
+        }
+        if (importedData.settings && goalCalculator.normalizeProfile(importedData.settings.profile)) {
+          localStorage.setItem(STORAGE_KEYS.BODY_PROFILE, JSON.stringify(goalCalculator.normalizeProfile(importedData.settings.profile)));
+        }
+        
+        // Import history in a single transaction
+        await healthDB.replaceHistory(storeData);
+        
+        utils.showToast('Data imported successfully! Reloading app...', 'success');
+        
+        // Reload the page to apply imported data
+        setTimeout(() => location.reload(), 1500);
+      } catch (storageError) {
+        // Restore backup if import fails
+        console.error('Storage error during import:', storageError);
+        
+        // Clear localStorage first
+        localStorage.clear();
+        
+        // Restore backup
+        Object.keys(backup).forEach(key => {
+          localStorage.setItem(key, backup[key]);
+        });
+        
+        throw new Error('Error saving imported data. Your previous data has been restored.');
       }
-    } catch (error) {
-      utils.showToast(`Error importing data: ${error.message}`, 'error');
-      console.error('Import error:', error);
     }
+  } catch (error) {
+    utils.showToast(`Error importing data: ${error.message}`, 'error');
+    console.error('Import error:', error);
+  }
+}
+
+/**
+ * Merge a backup file into the current data. Goals and settings on this device are kept;
+ * history of the sections picked in the preview is combined using the rules in dataMerge.
+ * @param {Event} event - Change event from file input
+ */
+async function mergeImportData(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  // Reset the file input so the same file can be picked again
+  event.target.value = '';
+  
+  try {
+    await mergeIntoCurrentData(await readImportFile(file));
+  } catch (error) {
+    utils.showToast(`Error merging data: ${error.message}`, 'error');
+    console.error('Merge error:', error);
+  }
+}
+
+/**
+ * Import intake and habit history from a CSV file with a user-chosen column mapping.
+ * Imported rows are merged into the current data.
+ * @param {Event} event - Change event from file input
+ */
+async function importCsvData(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  // Reset the file input so the same file can be picked again
+  event.target.value = '';
+  
+  try {
+    if (file.size > 5 * 1024 * 1024) { // 5MB limit
+      throw new Error('File is too large. Maximum size is 5MB.');
+    }
+    
+    const rows = csvData.parse(await utils.readFile(file));
+    if (rows.length < 2) {
+      throw new Error('CSV file has no data rows.');
+    }
+    
+    const options = await csvData.openMapping(file.name, rows[0], rows.length - 1);
+    if (!options) return;
+    
+    const { snapshot, report } = csvData.toSnapshot(rows.slice(1), options);
+    if (report.water + report.protein + report.custom + report.habits === 0) {
+      throw new Error(`No rows could be imported. Please check the column mapping. ${csvData.describeReport(report)}`);
+    }
+    
+    utils.showToast(csvData.describeReport(report), report.skipped > 0 ? 'warning' : 'success', 5000);
+    
+    await mergeIntoCurrentData(snapshot);
+  } catch (error) {
+    utils.showToast(`Error importing CSV: ${error.message}`, 'error');
+    console.error('CSV import error:', error);
+  }
+}
+
+/**
+ * Import habits from a Loop Habit Tracker export (ZIP, or Habits.csv and Checkmarks.csv)
+ * @param {Event} event - File input change event
+ * @returns {Promise<void>}
+ */
+async function importLoopData(event) {
+  const files = Array.from(event.target.files);
+  if (files.length === 0) return;
+  
+  // Reset the file input so the same files can be picked again
+  event.target.value = '';
+  
+  try {
+    const { snapshot, report } = loopImport.toSnapshot(await loopImport.readFiles(files));
     
-    // Reset the file input
-    event.target.value = '';
-  };
+    utils.showToast(`Found ${report.habits} habits with ${report.checkins} completed days in the Loop export.`, 'success', 5000);
+    
+    await mergeIntoCurrentData(snapshot);
+  } catch (error) {
+    utils.showToast(`Error importing Loop data: ${error.message}`, 'error');
+    console.error('Loop import error:', error);
+  }
+}
+
+/**
+ * Preview and merge an imported snapshot into the current data
+ * @param {Object} importedData - Current-schema snapshot to merge
+ * @returns {Promise<void>}
+ */
+async function mergeIntoCurrentData(importedData) {
+  const currentData = await dataSchema.createSnapshot();
+  const preview = dataMerge.mergeSnapshots(currentData, importedData);
+  
+  if (!dataMerge.hasChanges(preview.summary)) {
+    utils.showToast('Nothing new to merge. Your data already contains these entries.', 'warning');
+    return;
+  }
+  
+  const sections = await importPreview.open({
+    mode: 'merge',
+    importedData,
+    currentData,
+    mergeSummary: preview.summary
+  });
+  
+  if (!sections) return;
+  
+  const { snapshot } = dataMerge.mergeSnapshots(currentData, importPreview.pickSections(importedData, sections));
+  const storeData = dataSchema.toStoreData(snapshot);
+  storeData.meta[DB_META_KEYS.SCHEMA_VERSION] = SCHEMA_VERSION;
+  
+  await healthDB.replaceHistory(storeData);
+  
+  ['water', 'protein'].forEach(type => {
+    if (snapshot[type].goalHistory && snapshot[type].goalHistory.length > 0) {
+      localStorage.setItem(STORAGE_KEYS.GOAL_HISTORY_PREFIX + type, JSON.stringify(snapshot[type].goalHistory));
+    }
+  });
+  if (Array.isArray(snapshot.protein.foods)) {
+    foodLibrary.saveFoods(snapshot.protein.foods);
+  }
+  customTrackers.applySettings(snapshot.customTrackers);
   
-  reader.onerror = function() {
-    utils.showToast('Error reading file. Please try again.', 'error');
-    event.target.value = '';
-  };
+  utils.showToast('Data merged successfully! Reloading app...', 'success');
   
-  reader.readAsText(file);
+  // Reload the page to apply merged data
+  setTimeout(() => location.reload(), 1500);
 }
 
 /**
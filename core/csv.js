@@ -0,0 +1,629 @@
+/**
+ * Health Tracker App - CSV Import and Export
+ * This file contains the CSV export used for spreadsheet analysis and the CSV import with
+ * column mapping. On export every entry becomes one tidy row; days that only exist as
+ * archived monthly summaries are marked with source "archive". Body measurements are
+ * exported in their stored units: weight in kg, waist in cm and body fat in %.
+ */
+
+// Columns of the combined CSV file and of the per-tracker files in the ZIP export
+const CSV_COLUMNS = {
+  all: ['date', 'time', 'time_zone', 'tracker', 'amount', 'unit', 'goal', 'workout_type', 'habit', 'status', 'weight', 'waist', 'body_fat', 'source'],
+  water: ['date', 'time', 'time_zone', 'amount', 'unit', 'goal', 'source'],
+  protein: ['date', 'time', 'time_zone', 'amount', 'unit', 'goal', 'source'],
+  custom: ['date', 'time', 'time_zone', 'tracker', 'amount', 'unit', 'goal', 'source'],
+  workout: ['date', 'time', 'time_zone', 'workout_type', 'amount', 'source'],
+  habits: ['date', 'habit', 'status', 'source'],
+  body: ['date', 'weight', 'waist', 'body_fat', 'source']
+};
+
+// Fields that can be mapped to CSV columns on import, with header names recognised automatically
+const CSV_IMPORT_FIELDS = {
+  date: ['date', 'day'],
+  time: ['time'],
+  timeZone: ['time_zone', 'timezone', 'time zone'],
+  amount: ['amount', 'value', 'quantity', 'ml', 'grams'],
+  tracker: ['tracker', 'type', 'category'],
+  habit: ['habit', 'habit name', 'name'],
+  status: ['status', 'result', 'done'],
+  source: ['source']
+};
+
+// Habit status values understood on import (compared in lower case)
+const CSV_STATUS_VALUES = {
+  done: ['done', 'yes', 'y', 'true', '1', 'x', 'completed'],
+  fail: ['fail', 'failed', 'no', 'n', 'false', '0', 'missed']
+};
+
+const csvData = {
+  // Resolves the column mapping that is currently open
+  pendingResolve: null,
+  
+  /**
+   * Escape a value for a CSV cell
+   * @param {*} value - Cell value
+   * @returns {string} Escaped cell
+   */
+  escape(value) {
+    if (value === null || value === undefined) return '';
+    
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+  
+  /**
+   * Build CSV text from row objects
+   * @param {Array<string>} columns - Column names in order
+   * @param {Array<Object>} rows - Rows keyed by column name
+   * @returns {string} CSV text
+   */
+  toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => this.escape(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  },
+  
+  /**
+   * Format the time of an entry as HH:MM on the clock where it was logged
+   * @param {Object} entry - Entry with timestamp and optional timeZone and utcOffset
+   * @returns {string} Time, or an empty string if unknown
+   */
+  formatTime(entry) {
+    if (!entry.timestamp || isNaN(new Date(entry.timestamp).getTime())) return '';
+    
+    const { hours, minutes } = timeZones.getEntryParts(entry);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  },
+  
+  /**
+   * Get the time zone column of an entry
+   * @param {Object} entry - Entry with optional timeZone and utcOffset
+   * @returns {string} IANA time zone name, UTC offset, or an empty string for older entries
+   */
+  formatTimeZone(entry) {
+    if (entry.timeZone) return entry.timeZone;
+    return Number.isFinite(entry.utcOffset) ? timeZones.formatOffset(entry.utcOffset) : '';
+  },
+  
+  /**
+   * Sort rows by date, then time
+   * @param {Array<Object>} rows - Rows to sort
+   * @returns {Array<Object>} Sorted rows
+   */
+  sortRows(rows) {
+    return rows.sort((a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || ''));
+  },
+  
+  /**
+   * Collect one row per entry for every tracker
+   * @param {Object} snapshot - Current-schema snapshot
+   * @returns {Object} { water, protein, custom, workout, habits, body } arrays of rows
+   */
+  collectRows(snapshot) {
+    const archives = snapshot.archives || [];
+    const rows = { water: [], protein: [], custom: [], workout: [], habits: [], body: [] };
+    
+    const intakeTrackers = [
+      { type: 'water', name: 'water', unit: 'ml', section: 'water', data: snapshot.water },
+      { type: 'protein', name: 'protein', unit: 'g', section: 'protein', data: snapshot.protein },
+      ...(snapshot.customTrackers || []).map(tracker => {
+        return { type: tracker.id, name: tracker.name, unit: tracker.unit, section: 'custom', data: tracker };
+      })
+    ];
+    
+    intakeTrackers.forEach(({ type, name, unit, section, data }) => {
+      // Each day is exported with the goal that was in effect on it
+      const goalFor = date => utils.getGoalForDate(data.goalHistory, date) || data.goal;
+      
+      Object.entries(data.history || {}).forEach(([date, entries]) => {
+        entries.forEach(entry => {
+          rows[section].push({ date, time: this.formatTime(entry), time_zone: this.formatTimeZone(entry), tracker: name, amount: entry.amount, unit, goal: goalFor(date), source: 'entry' });
+        });
+      });
+      
+      archives
+        .filter(record => record.kind === 'intake' && record.tracker === type)
+        .forEach(record => {
+          Object.entries(record.days).forEach(([date, day]) => {
+            rows[section].push({ date, time: '', tracker: name, amount: day.total, unit, goal: goalFor(date), source: 'archive' });
+          });
+        });
+    });
+    
+    Object.entries(snapshot.workout.history || {}).forEach(([date, entries]) => {
+      entries.forEach(entry => {
+        rows.workout.push({ date, time: this.formatTime(entry), time_zone: this.formatTimeZone(entry), tracker: 'workout', workout_type: entry.type, amount: 1, source: 'entry' });
+      });
+    });
+    
+    archives
+      .filter(record => record.kind === 'workout')
+      .forEach(record => {
+        Object.entries(record.days).forEach(([date, counts]) => {
+          Object.entries(counts).forEach(([type, count]) => {
+            rows.workout.push({ date, time: '', tracker: 'workout', workout_type: type, amount: count, source: 'archive' });
+          });
+        });
+      });
+    
+    const habits = snapshot.habits.data || [];
+    const habitNames = {};
+    
+    habits.forEach(habit => {
+      habitNames[habit.id] = habit.name;
+      Object.entries(habit.history || {}).forEach(([date, status]) => {
+        if (!status) return;
+        rows.habits.push({ date, time: '', tracker: 'habit', habit: habit.name, status, source: 'entry' });
+      });
+    });
+    
+    archives
+      .filter(record => record.kind === 'habit' && habitNames[record.habitId])
+      .forEach(record => {
+        ['done', 'fail'].forEach(status => {
+          record[status].forEach(day => {
+            const date = historyArchive.toDateKey(record.month, day);
+            rows.habits.push({ date, time: '', tracker: 'habit', habit: habitNames[record.habitId], status, source: 'archive' });
+          });
+        });
+      });
+    
+    const bodyHistory = (snapshot.body && snapshot.body.history) || {};
+    Object.entries(bodyHistory).forEach(([date, entry]) => {
+      rows.body.push({ date, time: '', tracker: 'body', weight: entry.weight, waist: entry.waist, body_fat: entry.bodyFat, source: 'entry' });
+    });
+    
+    Object.values(rows).forEach(list => this.sortRows(list));
+    return rows;
+  },
+  
+  /**
+   * Export all tracking data as CSV, either as one file or as a ZIP with one file per tracker
+   * @param {boolean} zipped - True to download a ZIP with separate files per tracker
+   * @returns {Promise<void>}
+   */
+  async exportCsv(zipped) {
+    const snapshot = await dataSchema.createSnapshot();
+    const rows = this.collectRows(snapshot);
+    const rowCount = Object.values(rows).reduce((sum, list) => sum + list.length, 0);
+    
+    if (rowCount === 0) {
+      utils.showToast('No tracking data found to export.', 'error');
+      return;
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    
+    if (zipped) {
+      const files = [
+        { name: 'water.csv', content: this.toCsv(CSV_COLUMNS.water, rows.water) },
+        { name: 'protein.csv', content: this.toCsv(CSV_COLUMNS.protein, rows.protein) },
+        { name: 'workouts.csv', content: this.toCsv(CSV_COLUMNS.workout, rows.workout) },
+        { name: 'habits.csv', content: this.toCsv(CSV_COLUMNS.habits, rows.habits) },
+        { name: 'body.csv', content: this.toCsv(CSV_COLUMNS.body, rows.body) }
+      ];
+      if (snapshot.customTrackers.length > 0) {
+        files.push({ name: 'custom.csv', content: this.toCsv(CSV_COLUMNS.custom, rows.custom) });
+      }
+      utils.downloadFile(zipArchive.create(files), `health-tracker-export-${date}.zip`, 'application/zip');
+    } else {
+      const allRows = this.sortRows([...rows.water, ...rows.protein, ...rows.custom, ...rows.workout, ...rows.habits, ...rows.body]);
+      utils.downloadFile(this.toCsv(CSV_COLUMNS.all, allRows), `health-tracker-export-${date}.csv`, 'text/csv');
+    }
+    
+    utils.showToast(`Exported ${rowCount} rows to CSV.`, 'success');
+  },
+  
+  /**
+   * Parse CSV text into rows of cells. The delimiter (comma, semicolon or tab) is
+   * detected from the header line.
+   * @param {string} text - CSV text
+   * @param {Function} [pickColumns] - Gets the header row and returns the indexes of the columns to keep.
+   *   Cells of other columns are dropped while parsing, so wide files do not fill the memory.
+   * @returns {Array<Array<string>>} Non-empty rows, with only the picked columns (in that order) if pickColumns is given
+   */
+  parse(text, pickColumns) {
+    text = text.replace(/^\uFEFF/, '');
+    
+    const header = text.split(/\r?\n/, 1)[0];
+    const delimiter = [';', '\t'].reduce((best, candidate) => {
+      return header.split(candidate).length > header.split(best).length ? candidate : best;
+    }, ',');
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    // Position of each picked column in the row, known once the header has been read
+    let picked = null;
+    let column = 0;
+    let keeping = true;
+    
+    const endCell = () => {
+      if (!picked) {
+        row.push(cell);
+      } else if (keeping) {
+        row[picked.get(column)] = cell;
+      }
+      
+      column++;
+      keeping = !picked || picked.has(column);
+      cell = '';
+    };
+    
+    const endRow = () => {
+      endCell();
+      
+      if (picked) {
+        row = Array.from({ length: picked.size }, (_, index) => row[index] || '');
+      } else if (pickColumns && row.some(value => value.trim() !== '')) {
+        const indexes = pickColumns(row);
+        picked = new Map(indexes.map((index, position) => [index, position]));
+        row = indexes.map(index => row[index] || '');
+      }
+      
+      rows.push(row);
+      row = [];
+      column = 0;
+      keeping = !picked || picked.has(column);
+    };
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          if (keeping) cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else if (keeping) {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        endCell();
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        endRow();
+      } else if (keeping) {
+        cell += char;
+      }
+    }
+    
+    if (cell !== '' || column > 0) {
+      endRow();
+    }
+    
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+  },
+  
+  /**
+   * Guess which column holds each field from the header names
+   * @param {Array<string>} headers - Header row
+   * @returns {Object} { field: column index, or -1 if not found }
+   */
+  guessMapping(headers) {
+    const normalized = headers.map(header => header.trim().toLowerCase());
+    const mapping = {};
+    
+    Object.entries(CSV_IMPORT_FIELDS).forEach(([field, names]) => {
+      mapping[field] = normalized.findIndex(header => names.includes(header));
+    });
+    
+    return mapping;
+  },
+  
+  /**
+   * Parse a date cell
+   * @param {string} value - Cell value
+   * @param {string} format - Order of day and month for slash dates ('mdy' or 'dmy')
+   * @returns {string|null} Date key (YYYY-MM-DD) or null if invalid
+   */
+  parseDate(value, format) {
+    let year, month, day;
+    let match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    
+    if (match) {
+      [year, month, day] = match.slice(1).map(Number);
+    } else if ((match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/))) {
+      const [first, second] = match.slice(1, 3).map(Number);
+      [month, day] = format === 'dmy' ? [second, first] : [first, second];
+      year = Number(match[3]);
+    } else {
+      return null;
+    }
+    
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+    
+    return utils.formatDate(date);
+  },
+  
+  /**
+   * Parse a time cell such as "08:30", "8:30:15" or "8:30 PM"
+   * @param {string} value - Cell value
+   * @returns {Array<number>|null} [hours, minutes, seconds] or null if invalid
+   */
+  parseTime(value) {
+    const match = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!match) return null;
+    
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const seconds = Number(match[3] || 0);
+    
+    if (match[4]) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (match[4].toLowerCase() === 'pm' ? 12 : 0);
+    }
+    
+    return hours < 24 && minutes < 60 && seconds < 60 ? [hours, minutes, seconds] : null;
+  },
+  
+  /**
+   * Parse an amount cell, accepting "1,500" thousands separators and "1,5" decimal commas
+   * @param {string} value - Cell value
+   * @returns {number} Amount, or NaN if invalid
+   */
+  parseAmount(value) {
+    if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) {
+      return parseFloat(value.replace(/,/g, ''));
+    }
+    if (/^\d+,\d+$/.test(value)) {
+      return parseFloat(value.replace(',', '.'));
+    }
+    return /^\d*\.?\d+$/.test(value) ? parseFloat(value) : NaN;
+  },
+  
+  /**
+   * Parse a habit status cell
+   * @param {string} value - Cell value
+   * @returns {string|null} 'done', 'fail' or null if not recognised
+   */
+  parseStatus(value) {
+    const normalized = value.toLowerCase();
+    return Object.keys(CSV_STATUS_VALUES).find(status => CSV_STATUS_VALUES[status].includes(normalized)) || null;
+  },
+  
+  /**
+   * Work out which tracker a row belongs to. Custom trackers are matched by name or id.
+   * @param {string} value - Tracker cell value or the default tracker
+   * @param {Array<Object>} definitions - Custom tracker definitions
+   * @returns {string|null} 'water', 'protein', 'habits', a custom tracker id or null if not supported
+   */
+  parseTracker(value, definitions) {
+    const normalized = value.toLowerCase();
+    if (normalized === 'water' || normalized === 'protein') return normalized;
+    if (normalized === 'habit' || normalized === 'habits') return 'habits';
+    
+    const definition = definitions.find(d => d.id === normalized || d.name.toLowerCase() === normalized);
+    return definition ? definition.id : null;
+  },
+  
+  /**
+   * Convert mapped CSV rows into a snapshot that can be merged into the current data.
+   * Rows without a time get a fixed midday timestamp, so importing the same file twice
+   * is recognised as duplicate entries.
+   * @param {Array<Array<string>>} rows - Data rows (without the header)
+   * @param {Object} options - Mapping options
+   * @param {Object} options.mapping - { field: column index or -1 }
+   * @param {string} options.defaultTracker - Tracker for rows without a tracker column value
+   * @param {string} options.dateFormat - 'mdy' or 'dmy'
+   * @returns {Object} { snapshot, report }
+   */
+  toSnapshot(rows, { mapping, defaultTracker, dateFormat }) {
+    const snapshot = {
+      schemaVersion: SCHEMA_VERSION,
+      water: { goal: null, history: {} },
+      protein: { goal: null, history: {} },
+      customTrackers: [],
+      workout: { state: null, count: null, history: null },
+      habits: { data: [] },
+      archives: [],
+      settings: { theme: null, reminder: null }
+    };
+    const report = { water: 0, protein: 0, custom: 0, habits: 0, skipped: 0, reasons: {} };
+    const habitsByName = {};
+    const definitions = customTrackers.getDefinitions();
+    const customById = {};
+    
+    // Rows for custom trackers are only imported into trackers that exist on this device
+    const getHistory = tracker => {
+      if (snapshot[tracker]) return snapshot[tracker].history;
+      
+      if (!customById[tracker]) {
+        const definition = definitions.find(d => d.id === tracker);
+        customById[tracker] = { ...definition, goal: null, goalHistory: null, presets: null, history: {} };
+        snapshot.customTrackers.push(customById[tracker]);
+      }
+      return customById[tracker].history;
+    };
+    const untimedCounts = {};
+    
+    const cell = (row, field) => (mapping[field] >= 0 ? row[mapping[field]] || '' : '').trim();
+    const skip = reason => {
+      report.skipped++;
+      report.reasons[reason] = (report.reasons[reason] || 0) + 1;
+    };
+    
+    rows.forEach(row => {
+      // Archived days of an export are only daily totals, already kept in the archive summaries
+      if (cell(row, 'source').toLowerCase() === 'archive') return skip('archived day total');
+      
+      const date = this.parseDate(cell(row, 'date'), dateFormat);
+      if (!date) return skip('invalid date');
+      
+      const tracker = this.parseTracker(cell(row, 'tracker') || defaultTracker, definitions);
+      if (!tracker) return skip('unsupported tracker');
+      
+      if (tracker === 'habits') {
+        const name = cell(row, 'habit');
+        if (!name) return skip('missing habit name');
+        
+        // Files that only list completed days have no status column
+        const status = mapping.status >= 0 ? this.parseStatus(cell(row, 'status')) : 'done';
+        if (!status) return skip('invalid status');
+        
+        const key = name.toLowerCase();
+        if (!habitsByName[key]) {
+          habitsByName[key] = { name, color: 'default', history: {} };
+          snapshot.habits.data.push(habitsByName[key]);
+        }
+        habitsByName[key].history[date] = status;
+        report.habits++;
+        return;
+      }
+      
+      const amount = this.parseAmount(cell(row, 'amount'));
+      if (!(amount > 0)) return skip('invalid amount');
+      
+      const timeValue = cell(row, 'time');
+      let time = [12, 0, 0];
+      let milliseconds = 0;
+      
+      if (timeValue) {
+        time = this.parseTime(timeValue);
+        if (!time) return skip('invalid time');
+      } else {
+        const countKey = `${tracker}|${date}`;
+        milliseconds = untimedCounts[countKey] = (untimedCounts[countKey] || 0) + 1;
+      }
+      
+      // The date is the tracking day, so times before the day-start hour fall on the next
+      // calendar day. Times are read on the clock of the row's time zone when the file has one
+      const timeZone = cell(row, 'timeZone');
+      const loggedAt = new Date(
+        utils.getTimeOnDay(date, time[0], time[1], timeZone).getTime() + time[2] * 1000 + milliseconds
+      );
+      const entry = { amount, timestamp: loggedAt.toISOString() };
+      if (timeZones.isValid(timeZone)) {
+        entry.timeZone = timeZone;
+        entry.utcOffset = timeZones.getOffset(loggedAt, timeZone);
+      }
+      
+      const history = getHistory(tracker);
+      (history[date] || (history[date] = [])).push(entry);
+      report[snapshot[tracker] ? tracker : 'custom']++;
+    });
+    
+    return { snapshot, report };
+  },
+  
+  /**
+   * Describe an import report
+   * @param {Object} report - Report from toSnapshot()
+   * @returns {string} Human-readable report
+   */
+  describeReport(report) {
+    let text = `Read ${report.water} water, ${report.protein} protein, ${report.custom} custom tracker and ${report.habits} habit rows.`;
+    
+    if (report.skipped > 0) {
+      const reasons = Object.entries(report.reasons).map(([reason, count]) => `${count} ${reason}`);
+      text += ` Skipped ${report.skipped} rows (${reasons.join(', ')}).`;
+    }
+    
+    return text;
+  },
+  
+  /**
+   * Show the column mapping panel and wait for the user to confirm it
+   * @param {string} fileName - Name of the CSV file
+   * @param {Array<string>} headers - Header row
+   * @param {number} rowCount - Number of data rows
+   * @returns {Promise<Object|null>} { mapping, defaultTracker, dateFormat }, or null if cancelled
+   */
+  openMapping(fileName, headers, rowCount) {
+    const panel = document.getElementById('csv-import-panel');
+    const guessed = this.guessMapping(headers);
+    
+    document.getElementById('csv-import-note').textContent = `${fileName}: ${rowCount} rows. Choose which column holds each field.`;
+    
+    panel.querySelectorAll('select[data-field]').forEach(select => {
+      select.innerHTML = '';
+      
+      const none = document.createElement('option');
+      none.value = '-1';
+      none.textContent = select.dataset.field === 'date' ? 'Select a column' : 'Not in file';
+      select.appendChild(none);
+      
+      headers.forEach((header, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = header || `Column ${index + 1}`;
+        select.appendChild(option);
+      });
+      
+      select.value = String(guessed[select.dataset.field]);
+    });
+    
+    // Offer the custom trackers of this device as default trackers
+    const defaultTracker = document.getElementById('csv-default-tracker');
+    defaultTracker.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+    customTrackers.getDefinitions().forEach(definition => {
+      const option = document.createElement('option');
+      option.value = definition.id;
+      option.textContent = definition.name;
+      option.dataset.custom = 'true';
+      defaultTracker.appendChild(option);
+    });
+    
+    // Close any other panel and cancel a mapping that is still open
+    document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
+    this.closeMapping(null);
+    panel.classList.add('active');
+    
+    return new Promise(resolve => {
+      this.pendingResolve = resolve;
+    });
+  },
+  
+  /**
+   * Close the column mapping panel and resolve the open mapping
+   * @param {Object|null} options - Mapping options, or null if cancelled
+   */
+  closeMapping(options) {
+    document.getElementById('csv-import-panel').classList.remove('active');
+    
+    if (this.pendingResolve) {
+      const resolve = this.pendingResolve;
+      this.pendingResolve = null;
+      resolve(options);
+    }
+  },
+  
+  /**
+   * Set up the column mapping panel buttons
+   */
+  initializeImport() {
+    const panel = document.getElementById('csv-import-panel');
+    if (!panel) return;
+    
+    document.getElementById('csv-import-confirm').addEventListener('click', () => {
+      const mapping = {};
+      panel.querySelectorAll('select[data-field]').forEach(select => {
+        mapping[select.dataset.field] = parseInt(select.value);
+      });
+      
+      if (mapping.date < 0) {
+        utils.showToast('Please choose the column that holds the date.', 'warning');
+        return;
+      }
+      
+      this.closeMapping({
+        mapping,
+        defaultTracker: document.getElementById('csv-default-tracker').value,
+        dateFormat: document.getElementById('csv-date-format').value
+      });
+    });
+    
+    document.getElementById('csv-import-cancel').addEventListener('click', () => this.closeMapping(null));
+    panel.querySelector('.close-panel').addEventListener('click', () => this.closeMapping(null));
+  }
+};
\ No newline at end of file
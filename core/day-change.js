@@ -0,0 +1,89 @@
+/**
+ * Health Tracker App - Day Change Service
+ * This file contains the one place that notices when the tracking day changes. A single long
+ * timer drifts or never fires while a phone sleeps or a tab is suspended, so the date key is
+ * checked again on a short timer and whenever the app becomes visible, gains focus or resumes.
+ * Dates are always read from the local clock, which picks up DST and time zone changes.
+ * Trackers listen for DAY_CHANGE_EVENT on window instead of scheduling their own timers.
+ */
+
+// Event fired on window when the tracking day changes, with detail { previousDay, currentDay, reason }
+const DAY_CHANGE_EVENT = 'daychange';
+
+// Longest wait between two checks, so a timer delayed by sleep or throttling is corrected soon
+const DAY_CHANGE_CHECK_INTERVAL = 5 * 60 * 1000;
+
+const dayChange = {
+  // Date key (YYYY-MM-DD) of the tracking day seen at the last check
+  currentDay: null,
+  
+  // Time zone seen at the last check
+  timeZone: null,
+  
+  // Timer of the next check
+  timeout: null,
+  
+  /**
+   * Get the time zone of this device
+   * @returns {string} IANA time zone name, or the UTC offset if the browser has no name for it
+   */
+  getTimeZone() {
+    return timeZones.getDeviceTimeZone() || String(new Date().getTimezoneOffset());
+  },
+  
+  /**
+   * Compare today's date key with the last one seen and notify the trackers if it changed
+   * @param {string} [reason='timer'] - What triggered the check ('timer', 'visible', 'focus', 'resume' or 'setting')
+   * @returns {boolean} True if the day changed
+   */
+  check(reason = 'timer') {
+    const previousDay = this.currentDay;
+    const previousTimeZone = this.timeZone;
+    
+    this.currentDay = utils.getTodayKey();
+    this.timeZone = this.getTimeZone();
+    this.schedule();
+    
+    if (!previousDay || previousDay === this.currentDay) return false;
+    
+    // Travelling can move the day forward or back, so listeners must not assume the next day
+    if (previousTimeZone !== this.timeZone) reason = 'timezone';
+    
+    window.dispatchEvent(new CustomEvent(DAY_CHANGE_EVENT, {
+      detail: { previousDay, currentDay: this.currentDay, reason }
+    }));
+    
+    return true;
+  },
+  
+  /**
+   * Schedule the next check shortly after the next day starts, but no later than the check interval
+   */
+  schedule() {
+    if (this.timeout) {
+      clearTimeout(this.timeout);
+    }
+    
+    const wait = Math.min(utils.getMsUntilNextDay() + 1000, DAY_CHANGE_CHECK_INTERVAL);
+    this.timeout = setTimeout(() => this.check('timer'), wait);
+  },
+  
+  /**
+   * Start watching for day changes
+   */
+  initialize() {
+    this.currentDay = utils.getTodayKey();
+    this.timeZone = this.getTimeZone();
+    
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.check('visible');
+    });
+    window.addEventListener('focus', () => this.check('focus'));
+    
+    // Pages restored from the back/forward cache or unfrozen by the browser
+    window.addEventListener('pageshow', () => this.check('resume'));
+    document.addEventListener('resume', () => this.check('resume'));
+    
+    this.schedule();
+  }
+};
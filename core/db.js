@@ -0,0 +1,683 @@
+/**
+ * Health Tracker App - IndexedDB Storage Layer
+ * This file contains the IndexedDB-backed store used for all tracking history.
+ * Small settings (goals, theme, reminder, reset dates) stay in localStorage so they
+ * can be read synchronously during startup.
+ */
+
+// Database configuration
+const DB_NAME = 'health-tracker';
+const DB_VERSION = 4;
+
+const DB_STORES = {
+  INTAKE: 'intake',       // One record per water/protein entry
+  WORKOUTS: 'workouts',   // One record per completed workout
+  HABITS: 'habits',       // Habit definitions (name, color, order)
+  CHECKINS: 'checkins',   // One record per habit per day
+  ARCHIVES: 'archives',   // Monthly summaries of archived history
+  BODY: 'body',           // One record per day with body weight and measurements
+  PRODUCTS: 'products',   // Products of the imported food database, keyed by barcode
+  META: 'meta'            // Small key/value records (workout tabs, flags)
+};
+
+const DB_META_KEYS = {
+  MIGRATED: 'migrated_from_local_storage',
+  SCHEMA_VERSION: 'schema_version',
+  HABITS_SEEDED: 'habits_seeded',
+  WORKOUT_STATE: 'workout_state',
+  WORKOUT_COUNT: 'workout_count'
+};
+
+const healthDB = {
+  // Cached promise for the open database connection
+  dbPromise: null,
+  
+  /**
+   * Check if IndexedDB is available in this browser
+   * @returns {boolean} True if IndexedDB can be used
+   */
+  isAvailable() {
+    try {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (e) {
+      return false;
+    }
+  },
+  
+  /**
+   * Open (and create/upgrade if needed) the database
+   * @returns {Promise<IDBDatabase>} Open database connection
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+    
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        
+        if (!db.objectStoreNames.contains(DB_STORES.INTAKE)) {
+          const intakeStore = db.createObjectStore(DB_STORES.INTAKE, { keyPath: 'id', autoIncrement: true });
+          intakeStore.createIndex('tracker', 'tracker');
+          intakeStore.createIndex('date', 'date');
+          intakeStore.createIndex('tracker_date', ['tracker', 'date']);
+        }
+        
+        if (!db.objectStoreNames.contains(DB_STORES.WORKOUTS)) {
+          const workoutStore = db.createObjectStore(DB_STORES.WORKOUTS, { keyPath: 'id', autoIncrement: true });
+          workoutStore.createIndex('date', 'date');
+        }
+        
+        if (!db.objectStoreNames.contains(DB_STORES.HABITS)) {
+          db.createObjectStore(DB_STORES.HABITS, { keyPath: 'id' });
+        }
+        
+        if (!db.objectStoreNames.contains(DB_STORES.CHECKINS)) {
+          const checkinStore = db.createObjectStore(DB_STORES.CHECKINS, { keyPath: ['habitId', 'date'] });
+          checkinStore.createIndex('habitId', 'habitId');
+          checkinStore.createIndex('date', 'date');
+        }
+        
+        if (!db.objectStoreNames.contains(DB_STORES.ARCHIVES)) {
+          const archiveStore = db.createObjectStore(DB_STORES.ARCHIVES, { keyPath: 'id' });
+          archiveStore.createIndex('kind', 'kind');
+          archiveStore.createIndex('habitId', 'habitId');
+        }
+        
+        if (!db.objectStoreNames.contains(DB_STORES.BODY)) {
+          db.createObjectStore(DB_STORES.BODY, { keyPath: 'date' });
+        }
+        
+        if (!db.objectStoreNames.contains(DB_STORES.PRODUCTS)) {
+          db.createObjectStore(DB_STORES.PRODUCTS, { keyPath: 'barcode' });
+        }
+        
+        if (!db.objectStoreNames.contains(DB_STORES.META)) {
+          db.createObjectStore(DB_STORES.META, { keyPath: 'key' });
+        }
+      };
+      
+      request.onsuccess = () => {
+        const db = request.result;
+        
+        // Another tab upgraded the schema - close so it can proceed
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+          utils.showToast('The app was updated in another tab. Please reload.', 'warning');
+        };
+        
+        resolve(db);
+      };
+      
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+      
+      request.onblocked = () => {
+        console.warn('Database upgrade blocked by another open tab.');
+      };
+    });
+    
+    return this.dbPromise;
+  },
+  
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - Request to wrap
+   * @returns {Promise<*>} Request result
+   */
+  promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  /**
+   * Run work inside a single transaction and resolve once it commits
+   * @param {string|string[]} storeNames - Store(s) used by the transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the transaction; its return value is resolved
+   * @returns {Promise<*>} Value returned by work once the transaction completes
+   */
+  async transaction(storeNames, mode, work) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+      
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      
+      try {
+        result = work(tx);
+      } catch (error) {
+        tx.abort();
+        reject(error);
+      }
+    });
+  },
+  
+  /**
+   * Get all records in a store
+   * @param {string} storeName - Store name
+   * @returns {Promise<Array>} Records
+   */
+  async getAll(storeName) {
+    const db = await this.open();
+    return this.promisify(db.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+  },
+  
+  /**
+   * Get one record by key
+   * @param {string} storeName - Store name
+   * @param {*} key - Record key
+   * @returns {Promise<Object|undefined>} Record, or undefined if there is none
+   */
+  async get(storeName, key) {
+    const db = await this.open();
+    return this.promisify(db.transaction(storeName, 'readonly').objectStore(storeName).get(key));
+  },
+  
+  /**
+   * Count the records in a store
+   * @param {string} storeName - Store name
+   * @returns {Promise<number>} Number of records
+   */
+  async count(storeName) {
+    const db = await this.open();
+    return this.promisify(db.transaction(storeName, 'readonly').objectStore(storeName).count());
+  },
+  
+  /**
+   * Get all records matching an index value
+   * @param {string} storeName - Store name
+   * @param {string} indexName - Index name
+   * @param {*} value - Value to match
+   * @returns {Promise<Array>} Matching records
+   */
+  async getAllByIndex(storeName, indexName, value) {
+    const db = await this.open();
+    const index = db.transaction(storeName, 'readonly').objectStore(storeName).index(indexName);
+    return this.promisify(index.getAll(IDBKeyRange.only(value)));
+  },
+  
+  /**
+   * Insert or update a record. Generated keys are written back onto the record.
+   * @param {string} storeName - Store name
+   * @param {Object} record - Record to save
+   * @returns {Promise<*>} Key of the saved record
+   */
+  async put(storeName, record) {
+    let key;
+    
+    await this.transaction(storeName, 'readwrite', tx => {
+      const store = tx.objectStore(storeName);
+      const request = store.put(record);
+      request.onsuccess = () => {
+        key = request.result;
+        if (store.autoIncrement) {
+          record.id = key;
+        }
+      };
+    });
+    
+    return key;
+  },
+  
+  /**
+   * Insert or update several records in one transaction
+   * @param {string} storeName - Store name
+   * @param {Array<Object>} records - Records to save
+   * @returns {Promise<void>}
+   */
+  putAll(storeName, records) {
+    return this.transaction(storeName, 'readwrite', tx => {
+      const store = tx.objectStore(storeName);
+      records.forEach(record => store.put(record));
+    });
+  },
+  
+  /**
+   * Delete a record by key
+   * @param {string} storeName - Store name
+   * @param {*} key - Record key
+   * @returns {Promise<void>}
+   */
+  delete(storeName, key) {
+    return this.transaction(storeName, 'readwrite', tx => {
+      tx.objectStore(storeName).delete(key);
+    });
+  },
+  
+  /**
+   * Delete every record matching an index value
+   * @param {string} storeName - Store name
+   * @param {string} indexName - Index name
+   * @param {*} value - Value to match
+   * @returns {Promise<void>}
+   */
+  deleteByIndex(storeName, indexName, value) {
+    return this.transaction(storeName, 'readwrite', tx => {
+      this.deleteByIndexInTransaction(tx, storeName, indexName, value);
+    });
+  },
+  
+  /**
+   * Delete every record matching an index value inside an existing transaction
+   * @param {IDBTransaction} tx - Open readwrite transaction
+   * @param {string} storeName - Store name
+   * @param {string} indexName - Index name
+   * @param {*} value - Value to match
+   * @param {Function} [onDone] - Called once every matching record has been deleted
+   */
+  deleteByIndexInTransaction(tx, storeName, indexName, value, onDone) {
+    const request = tx.objectStore(storeName).index(indexName).openKeyCursor(IDBKeyRange.only(value));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        tx.objectStore(storeName).delete(cursor.primaryKey);
+        cursor.continue();
+      } else if (onDone) {
+        onDone();
+      }
+    };
+  },
+  
+  /**
+   * Remove all records from a store
+   * @param {string} storeName - Store name
+   * @returns {Promise<void>}
+   */
+  clear(storeName) {
+    return this.transaction(storeName, 'readwrite', tx => {
+      tx.objectStore(storeName).clear();
+    });
+  },
+  
+  /**
+   * Read a value from the meta store
+   * @param {string} key - Meta key
+   * @returns {Promise<*>} Stored value or undefined
+   */
+  async getMeta(key) {
+    const db = await this.open();
+    const record = await this.promisify(db.transaction(DB_STORES.META, 'readonly').objectStore(DB_STORES.META).get(key));
+    return record ? record.value : undefined;
+  },
+  
+  /**
+   * Write a value to the meta store
+   * @param {string} key - Meta key
+   * @param {*} value - Value to store
+   * @returns {Promise<void>}
+   */
+  setMeta(key, value) {
+    return this.putAll(DB_STORES.META, [{ key, value }]);
+  },
+  
+  /**
+   * Report a storage error to the user
+   * @param {Error} error - Error raised by IndexedDB
+   */
+  reportError(error) {
+    console.error('Database error:', error);
+    
+    if (error && error.name === 'QuotaExceededError') {
+      utils.showToast('Storage limit reached. Please export or archive your data.', 'error');
+      historyArchive.promptArchive('Storage limit reached.');
+    } else {
+      utils.showToast('Error saving data: ' + (error && error.message), 'error');
+    }
+  },
+  
+  /**
+   * Convert a date-keyed intake history object into intake records
+   * @param {string} type - Tracker type (water, protein)
+   * @param {Object} history - { 'YYYY-MM-DD': [{ amount, timestamp, timeZone?, utcOffset?, food?, servings? }] }
+   * @returns {Array<Object>} Intake records
+   */
+  toIntakeRecords(type, history) {
+    const records = [];
+    
+    Object.entries(history || {}).forEach(([date, entries]) => {
+      if (!Array.isArray(entries)) return;
+      
+      entries.forEach(entry => {
+        records.push({
+          tracker: type,
+          date,
+          amount: Number(entry.amount) || 0,
+          timestamp: entry.timestamp,
+          ...this.getTimeZoneFields(entry),
+          ...this.getFoodFields(entry)
+        });
+      });
+    });
+    
+    return records;
+  },
+  
+  /**
+   * Get the food an intake entry was logged from
+   * @param {Object} entry - Intake entry or record
+   * @returns {Object} { food, servings } if the entry names a food, otherwise an empty object
+   */
+  getFoodFields(entry) {
+    if (!entry.food) return {};
+    
+    const servings = Number(entry.servings);
+    return servings > 0 ? { food: String(entry.food), servings } : { food: String(entry.food) };
+  },
+  
+  /**
+   * Get the time zone an entry was logged in
+   * @param {Object} entry - Intake or workout entry or record
+   * @returns {Object} { timeZone, utcOffset } as far as the entry has them, otherwise an empty object
+   */
+  getTimeZoneFields(entry) {
+    const fields = {};
+    if (typeof entry.timeZone === 'string' && entry.timeZone) fields.timeZone = entry.timeZone;
+    if (Number.isFinite(entry.utcOffset)) fields.utcOffset = entry.utcOffset;
+    return fields;
+  },
+  
+  /**
+   * Group intake records into a date-keyed history object
+   * @param {Array<Object>} records - Intake records
+   * @param {boolean} keepIds - Keep record fields (id, tracker, date) on the entries
+   * @returns {Object} { 'YYYY-MM-DD': [entries] }
+   */
+  toIntakeHistory(records, keepIds = false) {
+    const history = {};
+    
+    records
+      .slice()
+      .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+      .forEach(record => {
+        if (!history[record.date]) {
+          history[record.date] = [];
+        }
+        history[record.date].push(keepIds ? record : {
+          amount: record.amount,
+          timestamp: record.timestamp,
+          ...this.getTimeZoneFields(record),
+          ...this.getFoodFields(record)
+        });
+      });
+    
+    return history;
+  },
+  
+  /**
+   * Convert a date-keyed workout history object into workout records
+   * @param {Object} history - { 'YYYY-MM-DD': [{ type, count, timestamp, timeZone?, utcOffset? }] }
+   * @returns {Array<Object>} Workout records
+   */
+  toWorkoutRecords(history) {
+    const records = [];
+    
+    Object.entries(history || {}).forEach(([date, entries]) => {
+      if (!Array.isArray(entries)) return;
+      
+      entries.forEach(entry => {
+        records.push({
+          date,
+          type: entry.type,
+          count: entry.count,
+          timestamp: entry.timestamp,
+          ...this.getTimeZoneFields(entry)
+        });
+      });
+    });
+    
+    return records;
+  },
+  
+  /**
+   * Group workout records into a date-keyed history object
+   * @param {Array<Object>} records - Workout records
+   * @param {boolean} keepIds - Keep record fields (id, date) on the entries
+   * @returns {Object} { 'YYYY-MM-DD': [entries] }
+   */
+  toWorkoutHistory(records, keepIds = false) {
+    const history = {};
+    
+    records
+      .slice()
+      .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+      .forEach(record => {
+        if (!history[record.date]) {
+          history[record.date] = [];
+        }
+        history[record.date].push(keepIds ? record : {
+          type: record.type,
+          count: record.count,
+          timestamp: record.timestamp,
+          ...this.getTimeZoneFields(record)
+        });
+      });
+    
+    return history;
+  },
+  
+  /**
+   * Convert a date-keyed body history object into body records
+   * @param {Object} history - { 'YYYY-MM-DD': { weight, waist, bodyFat, timestamp } }
+   * @returns {Array<Object>} Body records
+   */
+  toBodyRecords(history) {
+    return Object.entries(history || {})
+      .filter(([, entry]) => entry && typeof entry === 'object')
+      .map(([date, entry]) => ({
+        date,
+        weight: Number(entry.weight) || null,
+        waist: Number(entry.waist) || null,
+        bodyFat: Number(entry.bodyFat) || null,
+        timestamp: entry.timestamp
+      }));
+  },
+  
+  /**
+   * Key body records by date
+   * @param {Array<Object>} records - Body records
+   * @returns {Object} { 'YYYY-MM-DD': { weight, waist, bodyFat, timestamp } }
+   */
+  toBodyHistory(records) {
+    const history = {};
+    
+    records.forEach(record => {
+      history[record.date] = {
+        weight: record.weight,
+        waist: record.waist,
+        bodyFat: record.bodyFat,
+        timestamp: record.timestamp
+      };
+    });
+    
+    return history;
+  },
+  
+  /**
+   * Generate an id for a new habit
+   * @returns {string} Unique habit id
+   */
+  createHabitId() {
+    return `habit_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  },
+  
+  /**
+   * Split a habits list (with embedded history) into habit and check-in records
+   * @param {Array<Object>} habits - [{ name, color, history: { date: status } }]
+   * @returns {{habits: Array<Object>, checkins: Array<Object>}} Records
+   */
+  toHabitRecords(habits) {
+    const habitRecords = [];
+    const checkinRecords = [];
+    
+    (habits || []).forEach((habit, index) => {
+      const id = habit.id || this.createHabitId();
+      
+      habitRecords.push({
+        id,
+        name: habit.name,
+        color: habit.color || 'default',
+        order: index
+      });
+      
+      Object.entries(habit.history || {}).forEach(([date, status]) => {
+        checkinRecords.push({ habitId: id, date, status });
+      });
+    });
+    
+    return { habits: habitRecords, checkins: checkinRecords };
+  },
+  
+  /**
+   * Combine habit and check-in records into a habits list with embedded history
+   * @param {Array<Object>} habitRecords - Habit records
+   * @param {Array<Object>} checkinRecords - Check-in records
+   * @returns {Array<Object>} [{ id, name, color, history }]
+   */
+  toHabitList(habitRecords, checkinRecords) {
+    const habits = habitRecords
+      .slice()
+      .sort((a, b) => a.order - b.order)
+      .map(record => ({
+        id: record.id,
+        name: record.name,
+        color: record.color,
+        history: {}
+      }));
+    
+    const habitsById = {};
+    habits.forEach(habit => {
+      habitsById[habit.id] = habit;
+    });
+    
+    checkinRecords.forEach(checkin => {
+      if (habitsById[checkin.habitId]) {
+        habitsById[checkin.habitId].history[checkin.date] = checkin.status;
+      }
+    });
+    
+    return habits;
+  },
+  
+  /**
+   * Replace stored history with date-keyed history objects.
+   * Everything is written in one transaction, so a failure leaves existing data untouched.
+   * @param {Object} data - Sections to replace
+   * @param {Object} [data.intake] - { type: history } for each intake tracker
+   * @param {Object} [data.workouts] - Workout history object
+   * @param {Array} [data.habits] - Habits list with embedded history
+   * @param {Object} [data.body] - Body measurement history object
+   * @param {Array} [data.archives] - Monthly archive summaries
+   * @param {Object} [data.meta] - Meta values to store
+   * @returns {Promise<void>}
+   */
+  replaceHistory(data) {
+    const storeNames = Object.values(DB_STORES);
+    
+    return this.transaction(storeNames, 'readwrite', tx => {
+      // Archived months are replaced along with the section they belong to
+      const archiveStore = tx.objectStore(DB_STORES.ARCHIVES);
+      const clearArchives = prefix => archiveStore.delete(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+      
+      if (data.intake) {
+        const intakeStore = tx.objectStore(DB_STORES.INTAKE);
+        Object.entries(data.intake).forEach(([type, history]) => {
+          // Add the new records only after the old ones are gone
+          this.deleteByIndexInTransaction(tx, DB_STORES.INTAKE, 'tracker', type, () => {
+            this.toIntakeRecords(type, history).forEach(record => intakeStore.add(record));
+          });
+          clearArchives(`intake:${type}:`);
+        });
+      }
+      
+      if (data.workouts) {
+        const workoutStore = tx.objectStore(DB_STORES.WORKOUTS);
+        workoutStore.clear();
+        clearArchives('workout:');
+        this.toWorkoutRecords(data.workouts).forEach(record => workoutStore.add(record));
+      }
+      
+      if (data.habits) {
+        const { habits, checkins } = this.toHabitRecords(data.habits);
+        const habitStore = tx.objectStore(DB_STORES.HABITS);
+        const checkinStore = tx.objectStore(DB_STORES.CHECKINS);
+        habitStore.clear();
+        checkinStore.clear();
+        clearArchives('habit:');
+        habits.forEach(record => habitStore.put(record));
+        checkins.forEach(record => checkinStore.put(record));
+        tx.objectStore(DB_STORES.META).put({ key: DB_META_KEYS.HABITS_SEEDED, value: true });
+      }
+      
+      if (data.body) {
+        const bodyStore = tx.objectStore(DB_STORES.BODY);
+        bodyStore.clear();
+        this.toBodyRecords(data.body).forEach(record => bodyStore.put(record));
+      }
+      
+      if (data.archives) {
+        data.archives.forEach(record => archiveStore.put(record));
+      }
+      
+      if (data.meta) {
+        const metaStore = tx.objectStore(DB_STORES.META);
+        Object.entries(data.meta).forEach(([key, value]) => {
+          metaStore.put({ key, value });
+        });
+      }
+    });
+  },
+  
+  /**
+   * Read all stored history back into date-keyed history objects
+   * @returns {Promise<Object>} { intake: { type: history }, workouts, habits, body, archives, meta }
+   */
+  async readHistory() {
+    const [intakeRecords, workoutRecords, habitRecords, checkinRecords, bodyRecords, archiveRecords, metaRecords] = await Promise.all([
+      this.getAll(DB_STORES.INTAKE),
+      this.getAll(DB_STORES.WORKOUTS),
+      this.getAll(DB_STORES.HABITS),
+      this.getAll(DB_STORES.CHECKINS),
+      this.getAll(DB_STORES.BODY),
+      this.getAll(DB_STORES.ARCHIVES),
+      this.getAll(DB_STORES.META)
+    ]);
+    
+    const intakeByType = {};
+    intakeRecords.forEach(record => {
+      if (!intakeByType[record.tracker]) {
+        intakeByType[record.tracker] = [];
+      }
+      intakeByType[record.tracker].push(record);
+    });
+    
+    const intake = {};
+    Object.entries(intakeByType).forEach(([type, records]) => {
+      intake[type] = this.toIntakeHistory(records);
+    });
+    
+    const meta = {};
+    metaRecords.forEach(record => {
+      meta[record.key] = record.value;
+    });
+    
+    return {
+      intake,
+      workouts: workoutRecords.length > 0 ? this.toWorkoutHistory(workoutRecords) : null,
+      habits: habitRecords.length > 0 ? this.toHabitList(habitRecords, checkinRecords) : null,
+      body: bodyRecords.length > 0 ? this.toBodyHistory(bodyRecords) : null,
+      archives: archiveRecords,
+      meta
+    };
+  }
+};
\ No newline at end of file
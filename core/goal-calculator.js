@@ -0,0 +1,266 @@
+/**
+ * Health Tracker App - Goal Calculator
+ * This file contains the optional body profile (weight, activity level, training days) and the
+ * water and protein goals suggested from it:
+ *   water (ml)  = weight (kg) x ml per kg of the activity level + 500 ml x training days / 7
+ *   protein (g) = weight (kg) x (g per kg of the activity level + 0.1 x training days), at most 2.2 g/kg
+ * Water is rounded to 50 ml and protein to 5 g. A suggestion only becomes the goal when the
+ * user accepts it; later profile changes update goals that still equal the last suggestion.
+ */
+
+// Activity levels with their water (ml) and protein (g) per kg of body weight
+const ACTIVITY_LEVELS = {
+  sedentary: { label: 'Sedentary (little or no exercise)', waterPerKg: 30, proteinPerKg: 0.8 },
+  light: { label: 'Lightly active (walks, light sport)', waterPerKg: 33, proteinPerKg: 1.0 },
+  moderate: { label: 'Moderately active', waterPerKg: 35, proteinPerKg: 1.2 },
+  active: { label: 'Very active (hard exercise most days)', waterPerKg: 40, proteinPerKg: 1.4 },
+  athlete: { label: 'Athlete or physical job', waterPerKg: 45, proteinPerKg: 1.6 }
+};
+
+// Extra water per training session, spread over the week
+const TRAINING_WATER_ML = 500;
+
+// Extra protein per kg of body weight for each training day of the week
+const TRAINING_PROTEIN_PER_KG = 0.1;
+
+// Highest protein suggestion per kg of body weight
+const MAX_PROTEIN_PER_KG = 2.2;
+
+const goalCalculator = {
+  /**
+   * Check a stored or imported profile
+   * @param {Object} profile - Profile as { weight, activity, trainingDays, suggested }
+   * @returns {Object|null} Cleaned profile, or null if it has no valid body weight
+   */
+  normalizeProfile(profile) {
+    if (!profile || typeof profile !== 'object') return null;
+    
+    const weight = parseFloat(profile.weight);
+    if (isNaN(weight) || weight <= 0) return null;
+    
+    const trainingDays = parseInt(profile.trainingDays);
+    const suggested = profile.suggested || {};
+    
+    return {
+      weight,
+      activity: ACTIVITY_LEVELS[profile.activity] ? profile.activity : 'moderate',
+      trainingDays: isNaN(trainingDays) ? 0 : Math.min(Math.max(trainingDays, 0), 7),
+      suggested: {
+        water: parseFloat(suggested.water) || null,
+        protein: parseFloat(suggested.protein) || null
+      }
+    };
+  },
+  
+  /**
+   * Get the saved profile
+   * @returns {Object|null} Profile, or null if none is saved
+   */
+  getProfile() {
+    try {
+      return this.normalizeProfile(JSON.parse(localStorage.getItem(STORAGE_KEYS.BODY_PROFILE)));
+    } catch (e) {
+      return null;
+    }
+  },
+  
+  /**
+   * Calculate the suggested goals of a profile
+   * @param {Object} profile - Profile from normalizeProfile()
+   * @returns {Object} Goals as { water (ml), protein (g) }
+   */
+  calculateGoals(profile) {
+    const level = ACTIVITY_LEVELS[profile.activity];
+    const water = profile.weight * level.waterPerKg + TRAINING_WATER_ML * profile.trainingDays / 7;
+    const proteinPerKg = Math.min(level.proteinPerKg + TRAINING_PROTEIN_PER_KG * profile.trainingDays, MAX_PROTEIN_PER_KG);
+    
+    return {
+      water: Math.round(water / 50) * 50,
+      protein: Math.round(profile.weight * proteinPerKg / 5) * 5
+    };
+  },
+  
+  /**
+   * Get the tracker of a goal type
+   * @param {string} type - 'water' or 'protein'
+   * @returns {Tracker} Tracker
+   */
+  getTracker(type) {
+    return type === 'water' ? waterTracker : proteinTracker;
+  },
+  
+  /**
+   * Save profile changes and recalculate the suggestions. Goals accepted from the previous
+   * suggestion follow the new one; goals that are not set yet wait for the user to accept
+   * a suggestion, and overridden goals are kept.
+   * @param {Object} changes - Profile fields to change, such as { weight }
+   * @returns {Object|null} Saved profile, or null if it has no valid body weight
+   */
+  updateProfile(changes) {
+    const previous = this.getProfile();
+    const profile = this.normalizeProfile({ ...previous, ...changes });
+    if (!profile) return null;
+    
+    const goals = this.calculateGoals(profile);
+    
+    ['water', 'protein'].forEach(type => {
+      const tracker = this.getTracker(type);
+      const followsSuggestion = previous && tracker.goal > 0 && tracker.goal === previous.suggested[type];
+      
+      if (followsSuggestion && tracker.goal !== goals[type]) {
+        tracker.saveGoal(goals[type], tracker.getWeekdayGoals());
+      }
+    });
+    
+    profile.suggested = goals;
+    localStorage.setItem(STORAGE_KEYS.BODY_PROFILE, JSON.stringify(profile));
+    this.render();
+    
+    return profile;
+  },
+  
+  /**
+   * Make a suggestion the tracker's goal, keeping its weekday goals
+   * @param {string} type - 'water' or 'protein'
+   */
+  applySuggestion(type) {
+    const profile = this.getProfile();
+    if (!profile) return;
+    
+    const tracker = this.getTracker(type);
+    tracker.saveGoal(this.calculateGoals(profile)[type], tracker.getWeekdayGoals());
+    this.render();
+  },
+  
+  /**
+   * Show the saved profile, its suggestions and the hints in the tracker settings panels
+   */
+  render() {
+    const profile = this.getProfile();
+    const goals = profile ? this.calculateGoals(profile) : null;
+    
+    const weightInput = document.getElementById('profile-weight');
+    if (weightInput) {
+      const weight = profile ? units.toDisplay(profile.weight, 'kg') : '';
+      weightInput.value = weight;
+      weightInput.dataset.amount = profile ? profile.weight : '';
+      weightInput.dataset.displayAmount = weight;
+      
+      document.getElementById('profile-weight-unit').textContent = units.getDisplayUnit('kg');
+      document.getElementById('profile-activity').value = profile ? profile.activity : 'moderate';
+      document.getElementById('profile-training-days').value = profile ? profile.trainingDays : '';
+    }
+    
+    const list = document.getElementById('goal-suggestions');
+    if (list) {
+      list.innerHTML = '';
+      
+      if (goals) {
+        ['water', 'protein'].forEach(type => {
+          const tracker = this.getTracker(type);
+          
+          const row = document.createElement('div');
+          row.className = 'day-entry goal-suggestion-row';
+          
+          const text = document.createElement('p');
+          text.innerHTML = `<b>${tracker.label.charAt(0).toUpperCase() + tracker.label.slice(1)}</b>: ${tracker.formatAmount(goals[type])}`;
+          text.title = `Current goal: ${tracker.formatAmount(tracker.goal)}`;
+          row.appendChild(text);
+          
+          const useBtn = document.createElement('button');
+          useBtn.className = `action-btn ${type}`;
+          useBtn.textContent = tracker.goal === goals[type] ? 'In use' : 'Use';
+          useBtn.disabled = tracker.goal === goals[type];
+          useBtn.addEventListener('click', () => this.applySuggestion(type));
+          row.appendChild(useBtn);
+          
+          list.appendChild(row);
+        });
+      }
+    }
+    
+    // Hints next to the goal inputs
+    ['water', 'protein'].forEach(type => {
+      const hint = document.getElementById(`${type}-goal-suggestion`);
+      if (!hint) return;
+      
+      hint.innerHTML = '';
+      const text = document.createElement('span');
+      const button = document.createElement('button');
+      
+      if (goals) {
+        text.textContent = `Suggested from your body weight: ${this.getTracker(type).formatAmount(goals[type])}`;
+        button.textContent = 'Use';
+        button.addEventListener('click', () => {
+          this.applySuggestion(type);
+          this.getTracker(type).elements.settingsPanel.classList.remove('active');
+        });
+      } else {
+        text.textContent = 'Not sure what to aim for?';
+        button.textContent = 'Calculate from body weight';
+        button.addEventListener('click', () => this.open());
+      }
+      
+      hint.appendChild(text);
+      hint.appendChild(button);
+    });
+  },
+  
+  /**
+   * Open the goal calculator panel
+   */
+  open() {
+    this.render();
+    document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
+    document.getElementById('goal-calculator-panel').classList.add('active');
+  },
+  
+  /**
+   * Save the profile entered in the goal calculator panel
+   */
+  saveFromForm() {
+    const weightInput = document.getElementById('profile-weight');
+    const weight = parseFloat(weightInput.value);
+    const trainingDays = document.getElementById('profile-training-days').value;
+    
+    if (isNaN(weight) || weight <= 0) {
+      utils.showToast('Please enter a valid body weight.', 'error');
+      return;
+    }
+    if (trainingDays !== '' && !/^[0-7]$/.test(trainingDays.trim())) {
+      utils.showToast('Training days must be a whole number from 0 to 7.', 'error');
+      return;
+    }
+    
+    const unchanged = weightInput.dataset.amount !== '' && weightInput.value === weightInput.dataset.displayAmount;
+    
+    this.updateProfile({
+      weight: unchanged ? parseFloat(weightInput.dataset.amount) : units.fromDisplay(weight, 'kg'),
+      activity: document.getElementById('profile-activity').value,
+      trainingDays: trainingDays === '' ? 0 : parseInt(trainingDays)
+    });
+    
+    utils.showToast('Profile saved. Suggested goals updated.', 'success');
+  },
+  
+  /**
+   * Set up the goal calculator panel and the hints in the tracker settings panels
+   */
+  initialize() {
+    const panel = document.getElementById('goal-calculator-panel');
+    if (!panel) return;
+    
+    const activitySelect = document.getElementById('profile-activity');
+    Object.entries(ACTIVITY_LEVELS).forEach(([key, level]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = level.label;
+      activitySelect.appendChild(option);
+    });
+    
+    document.getElementById('open-goal-calculator').addEventListener('click', () => this.open());
+    document.getElementById('profile-save').addEventListener('click', () => this.saveFromForm());
+    
+    this.render();
+  }
+};
@@ -0,0 +1,284 @@
+/**
+ * Health Tracker App - Import Preview
+ * This file contains the preview panel shown before an import is written. It compares each
+ * section of the file with the data on this device and lets the user pick which sections to import.
+ */
+
+// Sections that can be imported separately
+const IMPORT_SECTIONS = [
+  { key: 'water', label: 'Water', unit: 'ml' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'custom', label: 'Custom Trackers' },
+  { key: 'workout', label: 'Workouts' },
+  { key: 'habits', label: 'Habits' },
+  { key: 'body', label: 'Body' },
+  { key: 'settings', label: 'Settings' }
+];
+
+const importPreview = {
+  // Resolves the preview that is currently open
+  pendingResolve: null,
+  
+  /**
+   * Get the section an archive summary belongs to
+   * @param {Object} record - Archive record
+   * @returns {string} Section key
+   */
+  getArchiveSection(record) {
+    if (record.kind === 'intake') {
+      return record.tracker === 'water' || record.tracker === 'protein' ? record.tracker : 'custom';
+    }
+    if (record.kind === 'workout') return 'workout';
+    return 'habits';
+  },
+  
+  /**
+   * Copy a snapshot keeping only the selected sections
+   * @param {Object} snapshot - Current-schema snapshot
+   * @param {Array<string>} sections - Section keys to keep
+   * @returns {Object} Snapshot with the other sections emptied
+   */
+  pickSections(snapshot, sections) {
+    const picked = JSON.parse(JSON.stringify(snapshot));
+    
+    if (!sections.includes('water')) picked.water = { goal: null, goalHistory: null, presets: null, pacing: null, history: null };
+    if (!sections.includes('protein')) picked.protein = { goal: null, goalHistory: null, presets: null, foods: null, history: null };
+    if (!sections.includes('workout')) picked.workout = { state: null, count: null, history: null };
+    if (!sections.includes('custom')) picked.customTrackers = null;
+    if (!sections.includes('habits')) picked.habits = { data: null };
+    if (!sections.includes('body')) picked.body = { history: null };
+    if (!sections.includes('settings')) picked.settings = { theme: null, reminder: null, unitSystem: null, dayStartHour: null, homeTimeZone: null, profile: null };
+    
+    picked.archives = (picked.archives || []).filter(record => sections.includes(this.getArchiveSection(record)));
+    
+    return picked;
+  },
+  
+  /**
+   * Count the data a snapshot holds for one section
+   * @param {Object} snapshot - Current-schema snapshot
+   * @param {string} section - Section key
+   * @returns {Object|null} Stats, or null if the section is empty
+   */
+  getSectionStats(snapshot, section) {
+    if (section === 'settings') {
+      const settings = snapshot.settings || {};
+      return settings.theme || settings.reminder || settings.unitSystem || settings.dayStartHour || settings.homeTimeZone || settings.profile
+        ? {
+          theme: settings.theme,
+          reminder: settings.reminder,
+          unitSystem: settings.unitSystem,
+          dayStartHour: settings.dayStartHour,
+          homeTimeZone: settings.homeTimeZone,
+          profile: settings.profile
+        }
+        : null;
+    }
+    
+    const archivedMonths = (snapshot.archives || [])
+      .filter(record => this.getArchiveSection(record) === section).length;
+    
+    if (section === 'custom') {
+      const trackers = snapshot.customTrackers || [];
+      if (trackers.length === 0) return null;
+      
+      const histories = trackers.map(tracker => tracker.history || {});
+      const days = histories.reduce((sum, history) => sum + Object.keys(history).length, 0);
+      const entries = histories.reduce((sum, history) => {
+        return sum + Object.values(history).reduce((count, dayEntries) => count + dayEntries.length, 0);
+      }, 0);
+      return { trackers: trackers.map(tracker => tracker.name), days, entries, archivedMonths };
+    }
+    
+    if (section === 'body') {
+      const history = snapshot.body && snapshot.body.history;
+      const days = history ? Object.keys(history).length : 0;
+      return days > 0 ? { days, archivedMonths } : null;
+    }
+    
+    if (section === 'habits') {
+      const habits = snapshot.habits && snapshot.habits.data;
+      if (!habits || habits.length === 0) return null;
+      
+      const checkins = habits.reduce((sum, habit) => sum + Object.keys(habit.history || {}).length, 0);
+      return { habits: habits.length, checkins, archivedMonths };
+    }
+    
+    const history = snapshot[section] && snapshot[section].history;
+    const dates = history ? Object.keys(history) : [];
+    const entries = dates.reduce((sum, date) => sum + history[date].length, 0);
+    const foods = section === 'protein' && Array.isArray(snapshot.protein.foods) ? snapshot.protein.foods.length : 0;
+    
+    if (dates.length === 0 && archivedMonths === 0 && foods === 0 && !(snapshot[section] && snapshot[section].goal)) {
+      return null;
+    }
+    
+    return { days: dates.length, entries, archivedMonths, foods, goal: snapshot[section] && snapshot[section].goal };
+  },
+  
+  /**
+   * Describe section stats for display
+   * @param {Object} config - Section config from IMPORT_SECTIONS
+   * @param {Object|null} stats - Stats from getSectionStats()
+   * @returns {string} Description
+   */
+  describeStats(config, stats) {
+    if (!stats) return 'No data';
+    
+    if (config.key === 'settings') {
+      const parts = [];
+      if (stats.theme) parts.push(`${stats.theme} theme`);
+      if (stats.reminder) parts.push(`reminder every ${stats.reminder} min`);
+      if (UNIT_SYSTEMS[stats.unitSystem]) parts.push(UNIT_SYSTEMS[stats.unitSystem].label);
+      if (stats.dayStartHour) parts.push(`day starts at ${utils.formatDayStart(stats.dayStartHour)}`);
+      if (stats.homeTimeZone) parts.push(`days follow ${timeZones.describeGrouping(stats.homeTimeZone)}`);
+      if (stats.profile && stats.profile.weight) parts.push(`body weight ${units.format(stats.profile.weight, 'kg')}`);
+      return parts.join(', ');
+    }
+    
+    let parts = [`${stats.days} days`, `${stats.entries} entries`];
+    if (config.key === 'habits') parts = [`${stats.habits} habits`, `${stats.checkins} check-ins`];
+    if (config.key === 'body') parts = [`${stats.days} days measured`];
+    if (config.key === 'custom') parts = [stats.trackers.join(', '), ...parts];
+    
+    if (stats.archivedMonths > 0) parts.push(`${stats.archivedMonths} archived months`);
+    if (stats.foods > 0) parts.push(`${stats.foods} foods`);
+    if (stats.goal) parts.push(`goal ${stats.goal} ${config.unit}`);
+    
+    return parts.join(', ');
+  },
+  
+  /**
+   * Show the preview panel and wait for the user to choose sections
+   * @param {Object} options - Preview options
+   * @param {string} options.mode - 'replace' or 'merge'
+   * @param {Object} options.importedData - Snapshot read from the file
+   * @param {Object} options.currentData - Snapshot of the data on this device
+   * @param {Object} [options.mergeSummary] - Summary from dataMerge.mergeSnapshots()
+   * @returns {Promise<Array<string>|null>} Selected section keys, or null if cancelled
+   */
+  open({ mode, importedData, currentData, mergeSummary }) {
+    const panel = document.getElementById('import-preview-panel');
+    const list = document.getElementById('import-preview-sections');
+    const note = document.getElementById('import-preview-note');
+    
+    // Settings are always kept from this device when merging
+    const sections = IMPORT_SECTIONS.filter(config => mode === 'replace' || config.key !== 'settings');
+    
+    list.innerHTML = '';
+    note.textContent = mode === 'merge'
+      ? 'Selected sections are merged into your data. Conflicting entries keep the values on this device; conflicting habit days keep "done" over "fail".'
+      : 'Selected sections replace your current data, including goals and today\'s intake. Unselected sections are left untouched.';
+    
+    sections.forEach(config => {
+      const fileStats = this.getSectionStats(importedData, config.key);
+      
+      const row = document.createElement('label');
+      row.className = 'day-entry import-preview-section';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = config.key;
+      checkbox.checked = !!fileStats;
+      checkbox.disabled = !fileStats;
+      row.appendChild(checkbox);
+      
+      const details = document.createElement('div');
+      
+      const title = document.createElement('p');
+      title.innerHTML = `<b>${config.label}</b>`;
+      details.appendChild(title);
+      
+      const fileText = document.createElement('p');
+      fileText.textContent = `File: ${this.describeStats(config, fileStats)}`;
+      details.appendChild(fileText);
+      
+      const currentText = document.createElement('p');
+      currentText.textContent = `Current: ${this.describeStats(config, this.getSectionStats(currentData, config.key))}`;
+      details.appendChild(currentText);
+      
+      if (mergeSummary && mergeSummary[config.key]) {
+        const counts = mergeSummary[config.key];
+        const mergeText = document.createElement('p');
+        mergeText.textContent = `Merge: ${counts.added} added, ${counts.skipped} skipped, ${counts.conflicted} conflicted` +
+          (counts.archived > 0 ? `, ${counts.archived} already in archived months` : '') +
+          (counts.restored > 0 ? `, ${counts.restored} archived months restored` : '');
+        details.appendChild(mergeText);
+        
+        if (config.key === 'habits' && counts.created.length > 0) {
+          const createdText = document.createElement('p');
+          createdText.textContent = `New habits: ${counts.created.join(', ')}`;
+          details.appendChild(createdText);
+        }
+        if (config.key === 'habits' && counts.merged.length > 0) {
+          const mergedText = document.createElement('p');
+          mergedText.textContent = `Merged habits: ${counts.merged.join(', ')}`;
+          details.appendChild(mergedText);
+        }
+        if (config.key === 'protein' && counts.created.length > 0) {
+          const createdText = document.createElement('p');
+          createdText.textContent = `New foods: ${counts.created.join(', ')}`;
+          details.appendChild(createdText);
+        }
+        if (config.key === 'custom' && counts.created.length > 0) {
+          const createdText = document.createElement('p');
+          createdText.textContent = `New trackers: ${counts.created.join(', ')}`;
+          details.appendChild(createdText);
+        }
+      }
+      
+      row.appendChild(details);
+      list.appendChild(row);
+    });
+    
+    document.getElementById('import-preview-confirm').innerHTML = mode === 'merge'
+      ? '<i class="material-icons-round">merge_type</i> Merge Selected'
+      : '<i class="material-icons-round">file_upload</i> Import Selected';
+    
+    // Close any other panel and cancel a preview that is still open
+    document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
+    this.close(null);
+    panel.classList.add('active');
+    
+    return new Promise(resolve => {
+      this.pendingResolve = resolve;
+    });
+  },
+  
+  /**
+   * Close the preview panel and resolve the open preview
+   * @param {Array<string>|null} sections - Selected sections, or null if cancelled
+   */
+  close(sections) {
+    document.getElementById('import-preview-panel').classList.remove('active');
+    
+    if (this.pendingResolve) {
+      const resolve = this.pendingResolve;
+      this.pendingResolve = null;
+      resolve(sections);
+    }
+  },
+  
+  /**
+   * Set up the preview panel buttons
+   */
+  initialize() {
+    const panel = document.getElementById('import-preview-panel');
+    if (!panel) return;
+    
+    document.getElementById('import-preview-confirm').addEventListener('click', () => {
+      const selected = Array.from(panel.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(checkbox => checkbox.value);
+      
+      if (selected.length === 0) {
+        utils.showToast('Please select at least one section to import.', 'warning');
+        return;
+      }
+      
+      this.close(selected);
+    });
+    
+    document.getElementById('import-preview-cancel').addEventListener('click', () => this.close(null));
+    panel.querySelector('.close-panel').addEventListener('click', () => this.close(null));
+  }
+};
\ No newline at end of file
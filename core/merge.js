@@ -0,0 +1,549 @@
+/**
+ * Health Tracker App - Merge Import
+ * This file contains the merge rules used to combine a backup with the data already on
+ * this device instead of replacing it.
+ */
+
+// Conflicting habit days keep the status with the higher priority
+const HABIT_STATUS_PRIORITY = {
+  done: 2,
+  fail: 1
+};
+
+const dataMerge = {
+  /**
+   * Create an empty added/skipped/conflicted counter
+   * @returns {Object} Counter
+   */
+  createCounts() {
+    return { added: 0, skipped: 0, conflicted: 0, archived: 0, restored: 0 };
+  },
+  
+  /**
+   * Merge two current-schema snapshots
+   * @param {Object} current - Snapshot of the data on this device
+   * @param {Object} incoming - Snapshot read from the backup file
+   * @returns {Object} { snapshot, summary } with the merged snapshot and what changed
+   */
+  mergeSnapshots(current, incoming) {
+    const snapshot = JSON.parse(JSON.stringify(current));
+    // Ids of summaries on this device replaced by the backup's detailed entries
+    const restored = new Set();
+    const summary = {
+      water: this.createCounts(),
+      protein: { ...this.createCounts(), created: [] },
+      workout: this.createCounts(),
+      custom: { ...this.createCounts(), created: [] },
+      habits: { ...this.createCounts(), overridden: 0, created: [], merged: [] },
+      body: this.createCounts(),
+      archives: this.createCounts()
+    };
+    
+    ['water', 'protein'].forEach(type => {
+      const incomingHistory = incoming[type] && incoming[type].history;
+      const histories = this.dropArchivedMonths(
+        { current: snapshot[type].history, incoming: incomingHistory },
+        this.compareArchivedMonths(
+          { current: current.archives, incoming: incoming.archives },
+          { current: `intake:${type}:`, incoming: `intake:${type}:` },
+          incomingHistory,
+          summary[type],
+          restored
+        ),
+        summary[type]
+      );
+      
+      snapshot[type].history = this.mergeIntakeHistory(histories.current, histories.incoming, summary[type]);
+      snapshot[type].goalHistory = this.mergeGoalHistory(
+        snapshot[type].goalHistory,
+        incoming[type] && incoming[type].goalHistory
+      );
+    });
+    
+    snapshot.protein.foods = this.mergeFoods(
+      snapshot.protein.foods,
+      incoming.protein && incoming.protein.foods,
+      summary.protein
+    );
+    
+    // Backup custom tracker ids mapped to the ids they end up with on this device
+    const trackerIdMap = {};
+    
+    snapshot.customTrackers = this.mergeCustomTrackers(
+      snapshot.customTrackers,
+      incoming.customTrackers,
+      summary.custom,
+      trackerIdMap,
+      { current: current.archives, incoming: incoming.archives },
+      restored
+    );
+    
+    const incomingWorkouts = incoming.workout && incoming.workout.history;
+    const workoutHistories = this.dropArchivedMonths(
+      { current: snapshot.workout.history, incoming: incomingWorkouts },
+      this.compareArchivedMonths(
+        { current: current.archives, incoming: incoming.archives },
+        { current: 'workout:', incoming: 'workout:' },
+        incomingWorkouts,
+        summary.workout,
+        restored
+      ),
+      summary.workout
+    );
+    
+    snapshot.workout.history = this.mergeWorkoutHistory(workoutHistories.current, workoutHistories.incoming, summary.workout);
+    
+    // Backup habit ids mapped to the ids they end up with on this device
+    const habitIdMap = {};
+    
+    snapshot.habits.data = this.mergeHabits(
+      snapshot.habits.data,
+      incoming.habits && incoming.habits.data,
+      summary.habits,
+      habitIdMap,
+      { current: current.archives, incoming: incoming.archives },
+      restored
+    );
+    
+    snapshot.body.history = this.mergeBodyHistory(
+      snapshot.body.history,
+      incoming.body && incoming.body.history,
+      summary.body
+    );
+    
+    snapshot.archives = this.mergeArchives(
+      (snapshot.archives || []).filter(record => !restored.has(record.id)),
+      incoming.archives,
+      summary.archives,
+      habitIdMap,
+      trackerIdMap
+    );
+    
+    return { snapshot, summary };
+  },
+  
+  /**
+   * Get the months with an archived summary
+   * @param {Array|null} archives - Archive summaries
+   * @param {string} prefix - Summary id prefix, e.g. 'intake:water:' or 'workout:'
+   * @returns {Set<string>} Months (YYYY-MM)
+   */
+  getArchivedMonths(archives, prefix) {
+    return new Set((archives || [])
+      .filter(record => String(record.id).startsWith(prefix))
+      .map(record => record.month));
+  },
+  
+  /**
+   * Check whether detailed entries hold at least everything an archived summary counts
+   * @param {Object|null} history - Date-keyed history (entry lists, or habit statuses)
+   * @param {Object} record - Archive summary
+   * @returns {boolean} True if the entries cover every day of the summary
+   */
+  coversSummary(history, record) {
+    if (!history || !Object.keys(history).some(date => date.startsWith(`${record.month}-`))) return false;
+    
+    if (record.kind === 'habit') {
+      return [...record.done, ...record.fail]
+        .every(day => history[historyArchive.toDateKey(record.month, day)]);
+    }
+    
+    if (record.kind === 'workout') {
+      return Object.entries(record.days).every(([date, counts]) =>
+        Object.entries(counts).every(([type, count]) =>
+          (history[date] || []).filter(entry => entry.type === type).length >= count));
+    }
+    
+    return Object.entries(record.days).every(([date, day]) => (history[date] || []).length >= day.count);
+  },
+  
+  /**
+   * Get the archived months of both sides for one history. A month this device only has as a
+   * summary is restored from the backup when the backup's entries cover all of it, such as the
+   * copy downloaded when archiving; its summary is then dropped instead of the entries.
+   * @param {Object} archives - { current, incoming } archive summaries of both sides
+   * @param {Object} prefixes - { current, incoming } summary id prefixes of this history
+   * @param {Object|null} incomingHistory - Date-keyed history from the backup
+   * @param {Object} counts - Counter to update (restored)
+   * @param {Set<string>} restored - Filled with the ids of summaries to drop
+   * @returns {Object} { current, incoming } archived months for dropArchivedMonths()
+   */
+  compareArchivedMonths(archives, prefixes, incomingHistory, counts, restored) {
+    const months = { current: new Set(), incoming: this.getArchivedMonths(archives.incoming, prefixes.incoming) };
+    
+    (archives.current || [])
+      .filter(record => String(record.id).startsWith(prefixes.current))
+      .forEach(record => {
+        if (!months.incoming.has(record.month) && this.coversSummary(incomingHistory, record)) {
+          restored.add(record.id);
+          counts.restored++;
+        } else {
+          months.current.add(record.month);
+        }
+      });
+    
+    return months;
+  },
+  
+  /**
+   * Remove the days of some months from a date-keyed history
+   * @param {Object|null} history - Date-keyed history
+   * @param {Set<string>} months - Months (YYYY-MM) to remove
+   * @param {Object} counts - Counter to update (archived)
+   * @returns {Object|null} History without the days of those months
+   */
+  dropArchivedDays(history, months, counts) {
+    if (!history || months.size === 0) return history;
+    
+    const kept = {};
+    Object.entries(history).forEach(([date, entries]) => {
+      if (months.has(date.slice(0, 7))) {
+        // Habit histories hold one status per day
+        counts.archived += Array.isArray(entries) ? entries.length : 1;
+      } else {
+        kept[date] = entries;
+      }
+    });
+    
+    return kept;
+  },
+  
+  /**
+   * Drop detailed entries of months the other side has archived. The summary of an archived
+   * month already counts those entries, so keeping both would count them twice. Months
+   * archived on both sides keep this device's summary, so only the backup's entries go.
+   * @param {Object} histories - { current, incoming } date-keyed histories
+   * @param {Object} months - { current, incoming } archived months from getArchivedMonths()
+   * @param {Object} counts - Counter to update (archived)
+   * @returns {Object} { current, incoming } histories to union
+   */
+  dropArchivedMonths(histories, months, counts) {
+    const incomingOnly = new Set([...months.incoming].filter(month => !months.current.has(month)));
+    
+    return {
+      current: this.dropArchivedDays(histories.current, incomingOnly, counts),
+      incoming: this.dropArchivedDays(histories.incoming, months.current, counts)
+    };
+  },
+  
+  /**
+   * Union intake entries by timestamp. An entry with the same timestamp but a different
+   * amount is a conflict and keeps the amount already on this device. An entry with the same
+   * amount in the same minute is the same entry too, because CSV files only keep HH:MM.
+   * Each entry on this device matches at most one entry from the backup.
+   * @param {Object|null} current - Date-keyed history on this device
+   * @param {Object|null} incoming - Date-keyed history from the backup
+   * @param {Object} counts - Counter to update
+   * @returns {Object|null} Merged history
+   */
+  mergeIntakeHistory(current, incoming, counts) {
+    if (!incoming) return current;
+    
+    const merged = current || {};
+    const getMinute = entry => String(entry.timestamp).slice(0, 16);
+    
+    Object.entries(incoming).forEach(([date, entries]) => {
+      const day = merged[date] || (merged[date] = []);
+      const unmatched = day.slice();
+      
+      entries.forEach(entry => {
+        let index = unmatched.findIndex(e => e.timestamp === entry.timestamp);
+        if (index < 0) {
+          index = unmatched.findIndex(e => e.amount === entry.amount && getMinute(e) === getMinute(entry));
+        }
+        
+        if (index < 0) {
+          day.push({ ...entry });
+          counts.added++;
+        } else if (unmatched.splice(index, 1)[0].amount === entry.amount) {
+          counts.skipped++;
+        } else {
+          counts.conflicted++;
+        }
+      });
+      
+      day.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    });
+    
+    return merged;
+  },
+  
+  /**
+   * Add the backup's goal changes from before this device's first recorded goal, so older
+   * merged days are measured against the goal that applied then. Later changes are left
+   * alone because goals on this device are kept.
+   * @param {Array|null} current - Goal timeline on this device
+   * @param {Array|null} incoming - Goal timeline from the backup
+   * @returns {Array|null} Merged goal timeline
+   */
+  mergeGoalHistory(current, incoming) {
+    if (!incoming || !current || current.length === 0) return current;
+    
+    const earlier = incoming.filter(change => change.date < current[0].date);
+    return [...earlier, ...current];
+  },
+  
+  /**
+   * Merge food libraries by name (case-insensitive). Foods missing on this device are added;
+   * foods with the same name keep this device's serving and nutrients.
+   * @param {Array|null} current - Foods on this device
+   * @param {Array|null} incoming - Foods from the backup
+   * @param {Object} counts - Counter to update (created food names)
+   * @returns {Array|null} Merged foods
+   */
+  mergeFoods(current, incoming, counts) {
+    if (!Array.isArray(incoming)) return current;
+    
+    const merged = (current || []).slice();
+    const names = new Set(merged.map(food => food.name.toLowerCase()));
+    
+    foodLibrary.normalizeFoods(incoming).forEach(food => {
+      if (names.has(food.name.toLowerCase())) return;
+      
+      names.add(food.name.toLowerCase());
+      merged.push(food);
+      counts.created.push(food.name);
+    });
+    
+    return merged;
+  },
+  
+  /**
+   * Merge custom trackers by id, then by name (case-insensitive). Trackers missing on this
+   * device are created with the backup's definition and goal; matching trackers keep this
+   * device's definition and goal, and their entries are merged like water and protein.
+   * @param {Array|null} current - Custom trackers on this device
+   * @param {Array|null} incoming - Custom trackers from the backup
+   * @param {Object} counts - Counter to update (entries and created tracker names)
+   * @param {Object} idMap - Filled with backup tracker id -> merged tracker id
+   * @param {Object} archives - { current, incoming } archive summaries of both sides
+   * @param {Set<string>} restored - Filled with the ids of summaries replaced by backup entries
+   * @returns {Array|null} Merged custom trackers
+   */
+  mergeCustomTrackers(current, incoming, counts, idMap, archives, restored) {
+    if (!incoming) return current;
+    
+    const merged = current || [];
+    const normalize = name => String(name).trim().toLowerCase();
+    
+    incoming.forEach(incomingTracker => {
+      const tracker = merged.find(t => t.id === incomingTracker.id) ||
+        merged.find(t => normalize(t.name) === normalize(incomingTracker.name));
+      
+      if (!tracker) {
+        merged.push({ ...incomingTracker, history: this.mergeIntakeHistory({}, incomingTracker.history, counts) });
+        counts.created.push(incomingTracker.name);
+        return;
+      }
+      
+      idMap[incomingTracker.id] = tracker.id;
+      
+      const histories = this.dropArchivedMonths(
+        { current: tracker.history, incoming: incomingTracker.history },
+        this.compareArchivedMonths(
+          archives,
+          { current: `intake:${tracker.id}:`, incoming: `intake:${incomingTracker.id}:` },
+          incomingTracker.history,
+          counts,
+          restored
+        ),
+        counts
+      );
+      tracker.history = this.mergeIntakeHistory(histories.current, histories.incoming, counts);
+      tracker.goalHistory = this.mergeGoalHistory(tracker.goalHistory, incomingTracker.goalHistory);
+    });
+    
+    return merged;
+  },
+  
+  /**
+   * Union workout entries. Entries with the same type and timestamp are the same workout.
+   * @param {Object|null} current - Date-keyed history on this device
+   * @param {Object|null} incoming - Date-keyed history from the backup
+   * @param {Object} counts - Counter to update
+   * @returns {Object|null} Merged history
+   */
+  mergeWorkoutHistory(current, incoming, counts) {
+    if (!incoming) return current;
+    
+    const merged = current || {};
+    
+    Object.entries(incoming).forEach(([date, entries]) => {
+      const day = merged[date] || (merged[date] = []);
+      
+      entries.forEach(entry => {
+        const exists = day.some(e => e.type === entry.type && e.timestamp === entry.timestamp);
+        
+        if (exists) {
+          counts.skipped++;
+        } else {
+          day.push({ ...entry });
+          counts.added++;
+        }
+      });
+      
+      day.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    });
+    
+    return merged;
+  },
+  
+  /**
+   * Merge habits by name (case-insensitive). Habits missing on this device are created;
+   * for matching habits each day is merged and conflicting days keep the status with the
+   * higher HABIT_STATUS_PRIORITY. Days of months archived on one side are handled like intake.
+   * @param {Array|null} current - Habits on this device
+   * @param {Array|null} incoming - Habits from the backup
+   * @param {Object} counts - Counter to update (days, overridden days, created/merged habit names)
+   * @param {Object} idMap - Filled with backup habit id -> merged habit id
+   * @param {Object} archives - { current, incoming } archive summaries of both sides
+   * @param {Set<string>} restored - Filled with the ids of summaries replaced by backup entries
+   * @returns {Array|null} Merged habits
+   */
+  mergeHabits(current, incoming, counts, idMap, archives, restored) {
+    if (!incoming) return current;
+    
+    const merged = current || [];
+    const normalize = name => String(name).trim().toLowerCase();
+    const usedIds = new Set(merged.map(habit => habit.id));
+    
+    incoming.forEach(incomingHabit => {
+      const history = incomingHabit.history || {};
+      const habit = merged.find(h => normalize(h.name) === normalize(incomingHabit.name));
+      
+      if (!habit) {
+        // Keep the backup's id unless another habit on this device already uses it
+        const id = incomingHabit.id && !usedIds.has(incomingHabit.id) ? incomingHabit.id : healthDB.createHabitId();
+        usedIds.add(id);
+        idMap[incomingHabit.id] = id;
+        
+        merged.push({
+          id,
+          name: incomingHabit.name,
+          color: incomingHabit.color || 'default',
+          history: { ...history }
+        });
+        counts.created.push(incomingHabit.name);
+        counts.added += Object.keys(history).length;
+        return;
+      }
+      
+      idMap[incomingHabit.id] = habit.id;
+      counts.merged.push(habit.name);
+      
+      const histories = this.dropArchivedMonths(
+        { current: habit.history, incoming: history },
+        this.compareArchivedMonths(
+          archives,
+          { current: `habit:${habit.id}:`, incoming: `habit:${incomingHabit.id}:` },
+          history,
+          counts,
+          restored
+        ),
+        counts
+      );
+      habit.history = histories.current || {};
+      
+      Object.entries(histories.incoming).forEach(([date, status]) => {
+        const existing = habit.history[date];
+        
+        if (!existing) {
+          habit.history[date] = status;
+          counts.added++;
+        } else if (existing === status) {
+          counts.skipped++;
+        } else {
+          if ((HABIT_STATUS_PRIORITY[status] || 0) > (HABIT_STATUS_PRIORITY[existing] || 0)) {
+            habit.history[date] = status;
+            counts.overridden++;
+          }
+          counts.conflicted++;
+        }
+      });
+    });
+    
+    return merged;
+  },
+  
+  /**
+   * Union body measurements by date. A day measured on both devices with different values
+   * is a conflict and keeps the measurement already on this device.
+   * @param {Object|null} current - Date-keyed body history on this device
+   * @param {Object|null} incoming - Date-keyed body history from the backup
+   * @param {Object} counts - Counter to update
+   * @returns {Object|null} Merged body history
+   */
+  mergeBodyHistory(current, incoming, counts) {
+    if (!incoming) return current;
+    
+    const merged = current || {};
+    
+    Object.entries(incoming).forEach(([date, entry]) => {
+      const existing = merged[date];
+      
+      if (!existing) {
+        merged[date] = { ...entry };
+        counts.added++;
+      } else if (['weight', 'waist', 'bodyFat'].every(field => (existing[field] || null) === (entry[field] || null))) {
+        counts.skipped++;
+      } else {
+        counts.conflicted++;
+      }
+    });
+    
+    return merged;
+  },
+  
+  /**
+   * Union archived monthly summaries. A month archived on both devices keeps this device's summary.
+   * @param {Array} current - Archive records on this device
+   * @param {Array} incoming - Archive records from the backup
+   * @param {Object} counts - Counter to update
+   * @param {Object} habitIdMap - Backup habit id -> merged habit id
+   * @param {Object} trackerIdMap - Backup custom tracker id -> merged tracker id
+   * @returns {Array} Merged archive records
+   */
+  mergeArchives(current, incoming, counts, habitIdMap, trackerIdMap) {
+    const merged = (current || []).slice();
+    const ids = new Set(merged.map(record => record.id));
+    
+    (incoming || []).forEach(incomingRecord => {
+      let record = incomingRecord;
+      
+      if (record.kind === 'habit') {
+        // Summaries of habits that were not merged have nothing to show
+        const habitId = habitIdMap[record.habitId];
+        if (!habitId) return;
+        record = { ...record, id: `habit:${habitId}:${record.month}`, habitId };
+      }
+      
+      if (record.kind === 'intake' && trackerIdMap[record.tracker]) {
+        const tracker = trackerIdMap[record.tracker];
+        record = { ...record, id: `intake:${tracker}:${record.month}`, tracker };
+      }
+      
+      if (ids.has(record.id)) {
+        counts.conflicted++;
+      } else {
+        merged.push(record);
+        counts.added++;
+      }
+    });
+    
+    return merged;
+  },
+  
+  /**
+   * Check whether a merge would change anything
+   * @param {Object} summary - Summary from mergeSnapshots()
+   * @returns {boolean} True if anything would be added or changed
+   */
+  hasChanges(summary) {
+    return ['water', 'protein', 'custom', 'workout', 'habits', 'body', 'archives']
+      .some(section => summary[section].added > 0 || summary[section].archived > 0 || summary[section].restored > 0) ||
+      summary.habits.created.length > 0 ||
+      summary.protein.created.length > 0 ||
+      summary.custom.created.length > 0 ||
+      summary.habits.overridden > 0;
+  }
+};
\ No newline at end of file
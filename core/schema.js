@@ -0,0 +1,517 @@
+/**
+ * Health Tracker App - Data Schema and Migrations
+ * This file contains the schema version registry and the forward migrations that upgrade
+ * older localStorage layouts, stored data and export files to the current shape.
+ */
+
+// Current data schema version
+const SCHEMA_VERSION = 13;
+
+// App version stamped on export files next to schemaVersion. The "9." prefix carries no meaning:
+// builds before schema versioning compare this field as a string with `> "2.0"`, and a plain
+// "13.0" sorts below "2.0", so their newer-file warning would not show. This app reads schemaVersion.
+const EXPORT_APP_VERSION = `9.${SCHEMA_VERSION}`;
+
+/**
+ * Numbered migrations. Each one upgrades a snapshot from (version - 1) to version.
+ * Snapshots use the export file shape:
+ * { schemaVersion, water, protein, customTrackers, workout, habits, body, archives, settings }
+ */
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Give every habit a color and a history object',
+    migrate(data) {
+      if (data.habits && data.habits.data) {
+        const isString = typeof data.habits.data === 'string';
+        const habits = dataSchema.decodeSection(data.habits.data, 'habits.data');
+        
+        if (Array.isArray(habits)) {
+          habits.forEach(habit => {
+            if (!habit.history || typeof habit.history !== 'object') {
+              habit.history = {};
+            }
+            if (!habit.color) {
+              habit.color = 'default';
+            }
+          });
+          
+          data.habits.data = isString ? JSON.stringify(habits) : habits;
+        }
+      }
+      
+      return data;
+    }
+  },
+  {
+    version: 3,
+    description: 'Store sections as plain values instead of nested JSON strings',
+    migrate(data) {
+      ['water', 'protein'].forEach(type => {
+        const section = data[type] || {};
+        data[type] = {
+          goal: dataSchema.decodeNumber(section.goal),
+          intake: dataSchema.decodeNumber(section.intake),
+          history: dataSchema.decodeSection(section.history, `${type}.history`)
+        };
+      });
+      
+      const workout = data.workout || {};
+      data.workout = {
+        state: dataSchema.decodeSection(workout.state, 'workout.state'),
+        count: dataSchema.decodeSection(workout.count, 'workout.count'),
+        history: dataSchema.decodeSection(workout.history, 'workout.history')
+      };
+      
+      const habits = data.habits || {};
+      data.habits = {
+        data: dataSchema.decodeSection(habits.data, 'habits.data')
+      };
+      
+      const settings = data.settings || {};
+      data.settings = {
+        theme: settings.theme || null,
+        reminder: dataSchema.decodeNumber(settings.reminder)
+      };
+      
+      return data;
+    }
+  },
+  {
+    version: 4,
+    description: 'Add monthly summaries of archived history',
+    migrate(data) {
+      if (!Array.isArray(data.archives)) {
+        data.archives = [];
+      }
+      
+      return data;
+    }
+  },
+  {
+    version: 5,
+    description: 'Record goal changes as a dated timeline',
+    migrate(data) {
+      ['water', 'protein'].forEach(type => {
+        const section = data[type];
+        if (!section || Array.isArray(section.goalHistory)) return;
+        
+        // Older data only knows the latest goal, so it applies from the first recorded day
+        const firstDate = Object.keys(section.history || {}).sort()[0];
+        section.goalHistory = section.goal
+          ? [{ date: firstDate || utils.formatDate(new Date()), goal: section.goal }]
+          : [];
+      });
+      
+      return data;
+    }
+  },
+  {
+    version: 6,
+    description: 'Add user-defined custom trackers',
+    migrate(data) {
+      if (!Array.isArray(data.customTrackers)) {
+        data.customTrackers = [];
+      }
+      
+      return data;
+    }
+  },
+  {
+    version: 7,
+    description: 'Add editable quick-add buttons with labels',
+    migrate(data) {
+      ['water', 'protein'].forEach(type => {
+        if (data[type] && data[type].presets === undefined) {
+          data[type].presets = null;
+        }
+      });
+      
+      // Custom trackers kept their quick-add amounts as plain numbers
+      (data.customTrackers || []).forEach(tracker => {
+        tracker.presets = Array.isArray(tracker.presets) ? Tracker.normalizePresets(tracker.presets) : null;
+      });
+      
+      return data;
+    }
+  },
+  {
+    version: 8,
+    description: 'Add daily limits to custom trackers',
+    migrate(data) {
+      (data.customTrackers || []).forEach(tracker => {
+        if (tracker.goalType !== 'limit') tracker.goalType = 'target';
+      });
+      
+      return data;
+    }
+  },
+  {
+    version: 9,
+    description: 'Add body weight and measurements',
+    migrate(data) {
+      if (!data.body) {
+        data.body = { history: null };
+      }
+      
+      return data;
+    }
+  },
+  {
+    version: 10,
+    description: 'Add the food library for protein logging',
+    migrate(data) {
+      if (data.protein && data.protein.foods === undefined) {
+        data.protein.foods = null;
+      }
+      
+      return data;
+    }
+  },
+  {
+    version: 11,
+    description: 'Add hydration pacing',
+    migrate(data) {
+      if (data.water && data.water.pacing === undefined) {
+        data.water.pacing = null;
+      }
+      
+      return data;
+    }
+  },
+  {
+    version: 12,
+    description: 'Drop the intake counters, today\'s total comes from the history',
+    migrate(data) {
+      [data.water, data.protein, ...(data.customTrackers || [])].forEach(section => {
+        if (section) delete section.intake;
+      });
+      
+      return data;
+    }
+  },
+  {
+    version: 13,
+    description: 'Record whether each goal change was a target or a limit',
+    migrate(data) {
+      // Water and protein goals were always targets; custom trackers had one type for every day
+      [data.water, data.protein, ...(data.customTrackers || [])].forEach(section => {
+        if (!section || !Array.isArray(section.goalHistory)) return;
+        
+        const goalType = section.goalType === 'limit' ? 'limit' : 'target';
+        section.goalHistory.forEach(change => {
+          if (!change.goalType) change.goalType = goalType;
+        });
+      });
+      
+      return data;
+    }
+  }
+];
+
+/**
+ * Numbered upgrades of the data stored on this device, in IndexedDB or localStorage. Each one
+ * rewrites the data written before its version. Schema versions without an entry here only
+ * changed export files, so stored data keeps its layout and only the new version is recorded.
+ * Entries look like { version, description, async upgrade() }.
+ */
+const STORE_UPGRADES = [
+  {
+    version: 12,
+    description: 'Drop the intake counters, today\'s total comes from the history',
+    async upgrade() {
+      ['water', 'protein', ...customTrackers.getDefinitions().map(definition => definition.id)]
+        .forEach(type => localStorage.removeItem(STORAGE_KEYS.INTAKE_PREFIX + type));
+    }
+  },
+  {
+    version: 13,
+    description: 'Record whether each goal change was a target or a limit',
+    async upgrade() {
+      ['water', 'protein', ...customTrackers.getDefinitions().map(definition => definition.id)].forEach(type => {
+        const key = STORAGE_KEYS.GOAL_HISTORY_PREFIX + type;
+        const goalHistory = dataSchema.decodeSection(localStorage.getItem(key), `${type}.goalHistory`);
+        if (!Array.isArray(goalHistory)) return;
+        
+        const goalType = localStorage.getItem(STORAGE_KEYS.GOAL_TYPE_PREFIX + type) === 'limit' ? 'limit' : 'target';
+        goalHistory.forEach(change => {
+          if (!change.goalType) change.goalType = goalType;
+        });
+        localStorage.setItem(key, JSON.stringify(goalHistory));
+      });
+    }
+  }
+];
+
+const dataSchema = {
+  /**
+   * Work out which schema version a snapshot was written with
+   * @param {Object} data - Snapshot or export file
+   * @returns {number} Schema version (1 for unversioned data)
+   */
+  getVersion(data) {
+    if (typeof data.schemaVersion === 'number') {
+      return data.schemaVersion;
+    }
+    
+    // Export files before schema versioning only stamped a "2.0" style app version,
+    // but their sections are still in the unversioned layout
+    return 1;
+  },
+  
+  /**
+   * Upgrade a snapshot to the current schema by running every newer migration in order
+   * @param {Object} data - Snapshot or export file
+   * @returns {Object} Upgraded copy of the snapshot
+   * @throws {Error} If the data was written by a newer version of the app
+   */
+  migrate(data) {
+    const version = this.getVersion(data);
+    
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`This data uses schema version ${version}, but this app only supports up to version ${SCHEMA_VERSION}. Please update the app and try again.`);
+    }
+    
+    let migrated = JSON.parse(JSON.stringify(data));
+    
+    SCHEMA_MIGRATIONS
+      .filter(migration => migration.version > version)
+      .sort((a, b) => a.version - b.version)
+      .forEach(migration => {
+        migrated = migration.migrate(migrated);
+        migrated.schemaVersion = migration.version;
+      });
+    
+    migrated.schemaVersion = SCHEMA_VERSION;
+    return migrated;
+  },
+  
+  /**
+   * Decode a section that may be stored as a JSON string
+   * @param {*} value - Raw section value
+   * @param {string} name - Section name for error messages
+   * @returns {*} Decoded value or null
+   */
+  decodeSection(value, name) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value !== 'string') return value;
+    
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      throw new Error(`Section "${name}" contains invalid data.`);
+    }
+  },
+  
+  /**
+   * Decode a number that may be stored as a string
+   * @param {*} value - Raw value
+   * @returns {number|null} Number or null
+   */
+  decodeNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  },
+  
+  /**
+   * Build a current-schema snapshot from the database and localStorage settings
+   * @returns {Promise<Object>} Snapshot in export file shape
+   */
+  async createSnapshot() {
+    const stored = await healthDB.readHistory();
+    const readNumber = key => this.decodeNumber(localStorage.getItem(key));
+    const readGoalHistory = type => this.decodeSection(
+      localStorage.getItem(STORAGE_KEYS.GOAL_HISTORY_PREFIX + type),
+      `${type}.goalHistory`
+    ) || [];
+    
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      version: EXPORT_APP_VERSION,
+      exportDate: new Date().toISOString(),
+      water: {
+        goal: readNumber(STORAGE_KEYS.GOAL_PREFIX + 'water'),
+        goalHistory: readGoalHistory('water'),
+        presets: Tracker.readPresets('water'),
+        pacing: Tracker.readPacing('water'),
+        history: stored.intake.water || null
+      },
+      protein: {
+        goal: readNumber(STORAGE_KEYS.GOAL_PREFIX + 'protein'),
+        goalHistory: readGoalHistory('protein'),
+        presets: Tracker.readPresets('protein'),
+        foods: foodLibrary.getFoods(),
+        history: stored.intake.protein || null
+      },
+      customTrackers: customTrackers.getDefinitions().map(definition => ({
+        ...definition,
+        goal: readNumber(STORAGE_KEYS.GOAL_PREFIX + definition.id),
+        goalType: localStorage.getItem(STORAGE_KEYS.GOAL_TYPE_PREFIX + definition.id) === 'limit' ? 'limit' : 'target',
+        goalHistory: readGoalHistory(definition.id),
+        presets: Tracker.readPresets(definition.id) || Tracker.normalizePresets(definition.presets || []),
+        history: stored.intake[definition.id] || null
+      })),
+      workout: {
+        state: stored.meta[DB_META_KEYS.WORKOUT_STATE] || null,
+        count: stored.meta[DB_META_KEYS.WORKOUT_COUNT] || null,
+        history: stored.workouts
+      },
+      habits: {
+        data: stored.habits
+      },
+      body: {
+        history: stored.body
+      },
+      archives: stored.archives,
+      settings: {
+        theme: localStorage.getItem(STORAGE_KEYS.THEME),
+        reminder: readNumber(STORAGE_KEYS.REMINDER),
+        unitSystem: localStorage.getItem(STORAGE_KEYS.UNIT_SYSTEM),
+        dayStartHour: readNumber(STORAGE_KEYS.DAY_START_HOUR),
+        homeTimeZone: timeZones.getHomeTimeZone(),
+        profile: goalCalculator.getProfile()
+      }
+    };
+  },
+  
+  /**
+   * Convert a current-schema snapshot into the sections written by healthDB.replaceHistory()
+   * @param {Object} snapshot - Current-schema snapshot
+   * @returns {Object} { intake, workouts, habits, body, archives, meta } with only the sections present
+   */
+  toStoreData(snapshot) {
+    const data = { intake: {}, meta: {} };
+    
+    ['water', 'protein'].forEach(type => {
+      if (snapshot[type] && snapshot[type].history) {
+        data.intake[type] = snapshot[type].history;
+      }
+    });
+    
+    if (snapshot.customTrackers) {
+      if (!Array.isArray(snapshot.customTrackers) ||
+          snapshot.customTrackers.some(tracker => !customTrackers.isValidId(tracker.id) || !tracker.name)) {
+        throw new Error('Section "customTrackers" has invalid format.');
+      }
+      snapshot.customTrackers.forEach(tracker => {
+        if (tracker.history) data.intake[tracker.id] = tracker.history;
+      });
+    }
+    
+    if (snapshot.workout) {
+      if (snapshot.workout.history) data.workouts = snapshot.workout.history;
+      if (snapshot.workout.state) data.meta[DB_META_KEYS.WORKOUT_STATE] = snapshot.workout.state;
+      if (snapshot.workout.count) data.meta[DB_META_KEYS.WORKOUT_COUNT] = snapshot.workout.count;
+    }
+    
+    if (snapshot.habits && snapshot.habits.data) {
+      if (!Array.isArray(snapshot.habits.data)) {
+        throw new Error('Section "habits" has invalid format.');
+      }
+      data.habits = snapshot.habits.data;
+    }
+    
+    if (snapshot.body && snapshot.body.history) {
+      if (typeof snapshot.body.history !== 'object' || Array.isArray(snapshot.body.history)) {
+        throw new Error('Section "body" has invalid format.');
+      }
+      data.body = snapshot.body.history;
+    }
+    
+    if (Array.isArray(snapshot.archives)) {
+      data.archives = snapshot.archives;
+    }
+    
+    return data;
+  },
+  
+  /**
+   * One-time migration of history kept in localStorage by earlier versions
+   * (history_*, workout_* and habits_data keys). The keys are run through the schema
+   * migrations, written to IndexedDB and removed once the data has been committed.
+   * A key that cannot be read is logged and left in localStorage; the others still migrate,
+   * and the migration is only marked as done once no key is left, so it is retried on the next start.
+   * @returns {Promise<boolean>} True if anything was migrated
+   */
+  async migrateLocalStorage() {
+    const alreadyMigrated = await healthDB.getMeta(DB_META_KEYS.MIGRATED);
+    if (alreadyMigrated) return false;
+    
+    // Each key is read as an unversioned (schema 1) snapshot holding only that section
+    const legacySections = {
+      [STORAGE_KEYS.HISTORY_PREFIX + 'water']: value => ({ water: { history: value } }),
+      [STORAGE_KEYS.HISTORY_PREFIX + 'protein']: value => ({ protein: { history: value } }),
+      workout_state: value => ({ workout: { state: value } }),
+      workout_count: value => ({ workout: { count: value } }),
+      workout_history: value => ({ workout: { history: value } }),
+      habits_data: value => ({ habits: { data: value } })
+    };
+    
+    const data = { intake: {}, meta: {} };
+    const migratedKeys = [];
+    let failed = false;
+    
+    Object.entries(legacySections).forEach(([key, toSnapshot]) => {
+      const value = localStorage.getItem(key);
+      if (value === null) return;
+      
+      try {
+        const section = this.toStoreData(this.migrate(toSnapshot(value)));
+        Object.assign(data.intake, section.intake);
+        Object.assign(data.meta, section.meta);
+        if (section.workouts) data.workouts = section.workouts;
+        if (section.habits) data.habits = section.habits;
+        migratedKeys.push(key);
+      } catch (error) {
+        console.error(`Skipping unreadable ${key}, it stays in localStorage:`, error);
+        failed = true;
+      }
+    });
+    
+    if (!failed) {
+      data.meta[DB_META_KEYS.MIGRATED] = new Date().toISOString();
+    }
+    data.meta[DB_META_KEYS.SCHEMA_VERSION] = SCHEMA_VERSION;
+    
+    await healthDB.replaceHistory(data);
+    
+    // Only drop the old keys after the transaction has committed
+    migratedKeys.forEach(key => localStorage.removeItem(key));
+    
+    // Today's total is worked out from the history, so the old intake counters go too
+    ['water', 'protein'].forEach(type => localStorage.removeItem(STORAGE_KEYS.INTAKE_PREFIX + type));
+    
+    return migratedKeys.length > 0;
+  },
+  
+  /**
+   * Upgrade data already stored in IndexedDB if it was written with an older schema,
+   * running the store upgrades newer than it in order
+   * @returns {Promise<boolean>} True if stored data was rewritten
+   * @throws {Error} If the stored data was written by a newer version of the app
+   */
+  async upgradeStoredData() {
+    const storedVersion = await healthDB.getMeta(DB_META_KEYS.SCHEMA_VERSION);
+    
+    if (storedVersion === SCHEMA_VERSION) return false;
+    
+    if (storedVersion > SCHEMA_VERSION) {
+      throw new Error(`Stored data uses schema version ${storedVersion}, but this app only supports up to version ${SCHEMA_VERSION}. Please update the app.`);
+    }
+    
+    // Stores without a version are new, or were filled before versions were recorded in the same record layout
+    const upgrades = storedVersion
+      ? STORE_UPGRADES
+        .filter(upgrade => upgrade.version > storedVersion)
+        .sort((a, b) => a.version - b.version)
+      : [];
+    
+    for (const upgrade of upgrades) {
+      await upgrade.upgrade();
+      await healthDB.setMeta(DB_META_KEYS.SCHEMA_VERSION, upgrade.version);
+    }
+    
+    await healthDB.setMeta(DB_META_KEYS.SCHEMA_VERSION, SCHEMA_VERSION);
+    return upgrades.length > 0;
+  }
+};
@@ -3,7 +3,7 @@
  */
 
 // Cache name (Update version when making changes to files)
-const CACHE_NAME = "health-tracker-v2";
+const CACHE_NAME = "health-tracker-v49";
 
 // Files to cache
 const FILES_TO_CACHE = [
@@ -11,13 +11,31 @@ const FILES_TO_CACHE = [
   'index.html',
   'core/core-styles.css',
   'core/core-scripts.js',
+  'core/db.js',
+  'core/schema.js',
+  'core/archive.js',
+  'core/merge.js',
+  'core/import-preview.js',
+  'core/zip.js',
+  'core/csv.js',
+  'core/units.js',
+  'core/time-zones.js',
+  'core/day-change.js',
+  'core/goal-calculator.js',
   'core/notification.js',
   'core/ui.js',
   'trackers/trackers-scripts.js',
+  'trackers/intake-charts.js',
+  'trackers/custom-trackers.js',
+  'trackers/food-library.js',
+  'trackers/food-database.js',
   'trackers/trackers-styles.css',
   'workouts/workouts-scripts.js',
   'workouts/workouts-styles.css',
+  'body/body-scripts.js',
+  'body/body-styles.css',
   'habits/habits-scripts.js',
+  'habits/habits-import.js',
   'habits/habits-styles.css',
   'manifest.json',
   'icons/icon-192.png',
@@ -0,0 +1,305 @@
+/**
+ * Health Tracker App - Time Zones
+ * This file contains the time zone handling of entries. New intake and workout entries store
+ * the time zone and UTC offset they were logged in, so history shows the time as it was
+ * experienced there. Days follow the local time of each entry unless a home time zone is
+ * chosen; then entries are grouped into the day they fell on at home. Entries logged before
+ * time zones were stored are shown in the time zone of this device.
+ */
+
+const timeZones = {
+  // Intl formatters by time zone, created on first use
+  formatters: {},
+  
+  /**
+   * Get the time zone of this device
+   * @returns {string|null} IANA time zone name, or null if the browser has no name for it
+   */
+  getDeviceTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (e) {
+      return null;
+    }
+  },
+  
+  /**
+   * Get the formatter that splits moments into wall-clock parts of a time zone
+   * @param {string} timeZone - IANA time zone name
+   * @returns {Intl.DateTimeFormat|null} Formatter, or null if the time zone is unknown
+   */
+  getFormatter(timeZone) {
+    if (!timeZone) return null;
+    
+    if (!(timeZone in this.formatters)) {
+      try {
+        this.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+          timeZone,
+          year: 'numeric',
+          month: 'numeric',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: 'numeric',
+          hourCycle: 'h23'
+        });
+      } catch (e) {
+        this.formatters[timeZone] = null;
+      }
+    }
+    
+    return this.formatters[timeZone];
+  },
+  
+  /**
+   * Check whether this browser knows a time zone
+   * @param {string} timeZone - IANA time zone name
+   * @returns {boolean} True if the time zone can be used
+   */
+  isValid(timeZone) {
+    return typeof timeZone === 'string' && this.getFormatter(timeZone) !== null;
+  },
+  
+  /**
+   * Get the home time zone days are grouped by
+   * @returns {string|null} Time zone, or null if days follow the local time of each entry
+   */
+  getHomeTimeZone() {
+    const timeZone = localStorage.getItem(STORAGE_KEYS.HOME_TIME_ZONE);
+    return this.isValid(timeZone) ? timeZone : null;
+  },
+  
+  /**
+   * Get the wall-clock time of a moment in a time zone
+   * @param {Date} date - Moment
+   * @param {string} timeZone - Valid IANA time zone name
+   * @returns {Object} { year, month (1-12), day, hours, minutes }
+   */
+  getParts(date, timeZone) {
+    const parts = {};
+    this.getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+    
+    return { year: parts.year, month: parts.month, day: parts.day, hours: parts.hour % 24, minutes: parts.minute };
+  },
+  
+  /**
+   * Get the UTC offset of a time zone at a moment
+   * @param {Date} date - Moment
+   * @param {string} timeZone - Valid IANA time zone name
+   * @returns {number} Minutes east of UTC
+   */
+  getOffset(date, timeZone) {
+    const parts = this.getParts(date, timeZone);
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes);
+    return Math.round((wallTime - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+  },
+  
+  /**
+   * Get the moment a wall-clock time falls on in a time zone. Days past the end of the month roll over.
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {number} day - Day of the month
+   * @param {number} hours - Hours (0-23)
+   * @param {number} minutes - Minutes
+   * @param {string} timeZone - Valid IANA time zone name
+   * @returns {Date} Moment
+   */
+  toDate(year, month, day, hours, minutes, timeZone) {
+    const wallTime = Date.UTC(year, month - 1, day, hours, minutes);
+    let moment = wallTime - this.getOffset(new Date(wallTime), timeZone) * 60000;
+    
+    // The offset can differ on the other side of a DST change, so check it again at the result
+    moment = wallTime - this.getOffset(new Date(moment), timeZone) * 60000;
+    
+    return new Date(moment);
+  },
+  
+  /**
+   * Get the time zone fields stored on a new entry
+   * @param {Date} date - When the entry was logged
+   * @returns {Object} { timeZone, utcOffset } or { utcOffset } if the device time zone has no name
+   */
+  getEntryFields(date) {
+    const timeZone = this.getDeviceTimeZone();
+    const utcOffset = -date.getTimezoneOffset();
+    return timeZone ? { timeZone, utcOffset } : { utcOffset };
+  },
+  
+  /**
+   * Get the wall-clock time an entry was logged at, where it was logged
+   * @param {Object} entry - Entry with timestamp and optional timeZone and utcOffset
+   * @returns {Object} { year, month (1-12), day, hours, minutes }
+   */
+  getEntryParts(entry) {
+    const date = new Date(entry.timestamp);
+    
+    if (this.isValid(entry.timeZone)) {
+      return this.getParts(date, entry.timeZone);
+    }
+    if (Number.isFinite(entry.utcOffset)) {
+      const shifted = new Date(date.getTime() + entry.utcOffset * 60000);
+      return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hours: shifted.getUTCHours(),
+        minutes: shifted.getUTCMinutes()
+      };
+    }
+    
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(), hours: date.getHours(), minutes: date.getMinutes() };
+  },
+  
+  /**
+   * Format the time an entry was logged at as experienced where it was logged. The time zone
+   * is named when it is not the one this device is in now.
+   * @param {Object} entry - Entry with timestamp and optional timeZone and utcOffset
+   * @returns {string} Time such as "08:30 AM" or "08:30 AM GMT+9"
+   */
+  formatEntryTime(entry) {
+    const parts = this.getEntryParts(entry);
+    const time = new Date(2000, 0, 1, parts.hours, parts.minutes)
+      .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    
+    if (this.isValid(entry.timeZone) && entry.timeZone !== this.getDeviceTimeZone()) {
+      return `${time} ${this.getZoneLabel(new Date(entry.timestamp), entry.timeZone)}`;
+    }
+    if (!this.isValid(entry.timeZone) && Number.isFinite(entry.utcOffset) &&
+        entry.utcOffset !== -new Date(entry.timestamp).getTimezoneOffset()) {
+      return `${time} ${this.formatOffset(entry.utcOffset)}`;
+    }
+    
+    return time;
+  },
+  
+  /**
+   * Get the short name of a time zone at a moment
+   * @param {Date} date - Moment
+   * @param {string} timeZone - Valid IANA time zone name
+   * @returns {string} Name such as "CET" or "GMT+9"
+   */
+  getZoneLabel(date, timeZone) {
+    const part = new Intl.DateTimeFormat([], { timeZone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find(({ type }) => type === 'timeZoneName');
+    return part ? part.value : this.formatOffset(this.getOffset(date, timeZone));
+  },
+  
+  /**
+   * Format a UTC offset
+   * @param {number} offset - Minutes east of UTC
+   * @returns {string} Offset such as "UTC+5:30"
+   */
+  formatOffset(offset) {
+    const hours = Math.floor(Math.abs(offset) / 60);
+    const minutes = Math.abs(offset) % 60;
+    return `UTC${offset < 0 ? '-' : '+'}${hours}${minutes ? ':' + String(minutes).padStart(2, '0') : ''}`;
+  },
+  
+  /**
+   * Move intake and workout entries to the day they belong to under the current grouping.
+   * Without a home time zone, entries that do not know where they were logged keep their day,
+   * unless the day-start hour changed; they then move by the clock they were logged on.
+   * Archived months are summaries and cannot be regrouped.
+   * @param {boolean} [dayStartChanged] - Regroup after a change of the day-start hour
+   * @returns {Promise<number>} Number of entries moved
+   */
+  async regroupHistory(dayStartChanged = false) {
+    const home = this.getHomeTimeZone();
+    const [intake, workouts] = await Promise.all([
+      healthDB.getAll(DB_STORES.INTAKE),
+      healthDB.getAll(DB_STORES.WORKOUTS)
+    ]);
+    
+    const getDate = record => {
+      const moment = new Date(record.timestamp);
+      if (!record.timestamp || isNaN(moment.getTime())) return null;
+      if (home || this.isValid(record.timeZone)) return utils.getDateKey(moment, record.timeZone);
+      if (!dayStartChanged) return null;
+      
+      const parts = this.getEntryParts(record);
+      const nightBefore = parts.hours < utils.getDayStartHour() ? 1 : 0;
+      return utils.formatDate(new Date(parts.year, parts.month - 1, parts.day - nightBefore));
+    };
+    
+    const regroup = records => records.filter(record => {
+      const date = getDate(record);
+      if (!date || date === record.date) return false;
+      
+      record.date = date;
+      return true;
+    });
+    
+    const movedIntake = regroup(intake);
+    const movedWorkouts = regroup(workouts);
+    
+    await healthDB.transaction([DB_STORES.INTAKE, DB_STORES.WORKOUTS], 'readwrite', tx => {
+      movedIntake.forEach(record => tx.objectStore(DB_STORES.INTAKE).put(record));
+      movedWorkouts.forEach(record => tx.objectStore(DB_STORES.WORKOUTS).put(record));
+    });
+    
+    return movedIntake.length + movedWorkouts.length;
+  },
+  
+  /**
+   * Describe how days are grouped
+   * @param {string|null} timeZone - Home time zone, or null for the local time of each entry
+   * @returns {string} Description
+   */
+  describeGrouping(timeZone) {
+    return timeZone ? `${timeZone.replace(/_/g, ' ')} time` : 'the local time of each entry';
+  },
+  
+  /**
+   * Set up the home time zone setting in options panel
+   */
+  initialize() {
+    const select = document.getElementById('home-time-zone');
+    if (!select) return;
+    
+    const device = this.getDeviceTimeZone();
+    const home = this.getHomeTimeZone();
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    [device, home].forEach(zone => {
+      if (zone && !zones.includes(zone)) zones.push(zone);
+    });
+    
+    const localOption = document.createElement('option');
+    localOption.value = '';
+    localOption.textContent = 'Where each entry was logged (default)';
+    select.appendChild(localOption);
+    
+    zones.sort().forEach(zone => {
+      const option = document.createElement('option');
+      option.value = zone;
+      option.textContent = zone.replace(/_/g, ' ') + (zone === device ? ' (this device)' : '');
+      select.appendChild(option);
+    });
+    select.value = home || '';
+    
+    select.addEventListener('change', async () => {
+      if (select.value) {
+        localStorage.setItem(STORAGE_KEYS.HOME_TIME_ZONE, select.value);
+      } else {
+        localStorage.removeItem(STORAGE_KEYS.HOME_TIME_ZONE);
+      }
+      
+      try {
+        const moved = await this.regroupHistory();
+        const grouping = this.describeGrouping(this.getHomeTimeZone());
+        
+        if (moved === 0) {
+          dayChange.check('setting');
+          utils.showToast(`Days now follow ${grouping}.`, 'success');
+          return;
+        }
+        
+        utils.showToast(`Days now follow ${grouping}. ${moved} ${moved === 1 ? 'entry' : 'entries'} moved to another day. Reloading app...`, 'success');
+        setTimeout(() => location.reload(), 1500);
+      } catch (error) {
+        healthDB.reportError(error);
+      }
+    });
+  }
+};
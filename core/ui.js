@@ -68,7 +68,7 @@ function initializeTabNavigation() {
                          window.matchMedia('(prefers-color-scheme: dark)').matches);
       
       if (!isDarkTheme && !document.body.classList.contains('light-theme')) {
-        utils.changeThemeColor(THEME_COLORS[appType]);
+        utils.changeThemeColor(THEME_COLORS[appType] || btn.dataset.color);
       }
     });
   });
@@ -111,9 +111,17 @@ function initializePanels() {
     'protein-history-toggle': 'protein-history-popup',
     'workout-settings-toggle': 'workout-settings-section',
     'workout-history-toggle': 'workout-history-popup',
+    'body-settings-toggle': 'body-settings-section',
+    'body-history-toggle': 'body-history-popup',
     'more-options-toggle': 'more-options-panel'
   };
   
+  // Custom trackers have the same settings and history panels
+  customTrackers.instances.forEach(tracker => {
+    panelToggles[`${tracker.type}-settings-toggle`] = `${tracker.type}-settings-section`;
+    panelToggles[`${tracker.type}-history-toggle`] = `${tracker.type}-history-popup`;
+  });
+  
   // Set up panel toggles
   Object.entries(panelToggles).forEach(([toggleId, panelId]) => {
     const toggleBtn = document.getElementById(toggleId);
@@ -204,6 +212,45 @@ function initializeGlobalNotificationButtons() {
   }
 }
 
+/**
+ * Initialize the day-start setting in options panel. Entries logged before the chosen hour
+ * count toward the previous day, and every tracker rolls over to the next day at that hour.
+ * Stored entries are moved to the day they belong to under the new hour.
+ */
+function initializeDayStart() {
+  const select = document.getElementById('day-start-hour');
+  if (!select) return;
+  
+  for (let hour = 0; hour <= DAY_START_MAX_HOUR; hour++) {
+    const option = document.createElement('option');
+    option.value = hour;
+    option.textContent = hour === 0 ? 'Midnight (default)' : utils.formatDayStart(hour);
+    select.appendChild(option);
+  }
+  select.value = utils.getDayStartHour();
+  
+  select.addEventListener('change', async () => {
+    localStorage.setItem(STORAGE_KEYS.DAY_START_HOUR, select.value);
+    const dayStart = utils.formatDayStart(utils.getDayStartHour());
+    
+    try {
+      const moved = await timeZones.regroupHistory(true);
+      
+      if (moved === 0) {
+        // Trackers move to the new day (if it changed) through the day change event
+        dayChange.check('setting');
+        utils.showToast(`Your day now starts at ${dayStart}.`, 'success');
+        return;
+      }
+      
+      utils.showToast(`Your day now starts at ${dayStart}. ${moved} ${moved === 1 ? 'entry' : 'entries'} moved to another day. Reloading app...`, 'success');
+      setTimeout(() => location.reload(), 1500);
+    } catch (error) {
+      healthDB.reportError(error);
+    }
+  });
+}
+
 /**
  * Initialize tracker actions for a specific tracker
  * @param {Tracker} tracker - Tracker instance
@@ -211,15 +258,19 @@ function initializeGlobalNotificationButtons() {
 function initializeTrackerActions(tracker) {
   const type = tracker.type;
   
-  // Set up quick add buttons
-  document.querySelectorAll(`[data-action="${type}-add"]`).forEach(btn => {
-    btn.addEventListener('click', () => {
-      const amount = parseInt(btn.dataset.amount);
+  // Set up quick add buttons (they are re-rendered when edited, so listen on their container)
+  const quickAdd = document.getElementById(`${type}-quick-add`);
+  if (quickAdd) {
+    quickAdd.addEventListener('click', (event) => {
+      const btn = event.target.closest(`[data-action="${type}-add"]`);
+      if (!btn) return;
+      
+      const amount = parseFloat(btn.dataset.amount);
       if (!isNaN(amount) && amount > 0) {
         tracker.addIntake(amount);
       }
     });
-  });
+  }
   
  // Set up manual add button
  const addManualBtn = document.getElementById(`${type}-add-manual`);
@@ -247,13 +298,36 @@ function initializeTrackerActions(tracker) {
    });
  }
  
+ // Quick-add editor buttons
+ const addPresetBtn = document.getElementById(`${type}-add-preset`);
+ if (addPresetBtn) {
+   addPresetBtn.addEventListener('click', () => {
+     tracker.addPresetRow();
+   });
+ }
+ 
+ const savePresetsBtn = document.getElementById(`${type}-save-presets`);
+ if (savePresetsBtn) {
+   savePresetsBtn.addEventListener('click', () => {
+     tracker.savePresets();
+   });
+ }
+ 
+ // Pacing button
+ const savePacingBtn = document.getElementById(`${type}-save-pacing`);
+ if (savePacingBtn) {
+   savePacingBtn.addEventListener('click', () => {
+     tracker.savePacing();
+   });
+ }
+ 
  // Reset daily button
  const resetDailyBtn = document.getElementById(`${type}-reset-daily`);
  if (resetDailyBtn) {
    resetDailyBtn.addEventListener('click', () => {
-     if (confirm(`Are you sure you want to reset today's ${type} intake data?`)) {
+     if (confirm(`Are you sure you want to reset today's ${tracker.label} intake data?`)) {
        tracker.resetDailyIntake();
-       utils.showToast(`Today's ${type} intake has been reset.`, 'warning');
+       utils.showToast(`Today's ${tracker.label} intake has been reset.`, 'warning');
      }
    });
  }
@@ -262,7 +336,7 @@ function initializeTrackerActions(tracker) {
  const resetDataBtn = document.getElementById(`${type}-reset-data`);
  if (resetDataBtn) {
    resetDataBtn.addEventListener('click', () => {
-     if (confirm(`⚠️ WARNING: This will delete ALL ${type} tracking data. This action cannot be undone. Are you sure?`)) {
+     if (confirm(`⚠️ WARNING: This will delete ALL ${tracker.label} tracking data. This action cannot be undone. Are you sure?`)) {
        tracker.resetAllData();
      }
    });
@@ -312,4 +386,40 @@ function initializeWorkoutTrackerActions(tracker) {
  
  // Initial history refresh
  tracker.refreshHistory();
+}
+
+/**
+ * Initialize body tracker actions
+ * @param {BodyTracker} tracker - BodyTracker instance
+ */
+function initializeBodyTrackerActions(tracker) {
+  // Save measurement button
+  const saveBtn = document.getElementById('body-save');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', () => {
+      tracker.saveMeasurement();
+    });
+  }
+  
+  // Set up enter key for the measurement inputs
+  ['body-weight', 'body-waist', 'body-fat'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.addEventListener('keypress', (event) => {
+        if (event.key === 'Enter') {
+          tracker.saveMeasurement();
+        }
+      });
+    }
+  });
+  
+  // Reset all data button
+  const resetDataBtn = document.getElementById('body-reset-data');
+  if (resetDataBtn) {
+    resetDataBtn.addEventListener('click', () => {
+      if (confirm('⚠️ WARNING: This will delete ALL body measurements. This action cannot be undone. Are you sure?')) {
+        tracker.resetAllData();
+      }
+    });
+  }
 }
\ No newline at end of file
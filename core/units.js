@@ -0,0 +1,103 @@
+/**
+ * Health Tracker App - Unit Systems
+ * This file contains the metric/imperial preference. Amounts are always stored in the
+ * canonical unit of a tracker (ml for water, g for protein) and only converted for display
+ * and input. Body weight is stored in kg and body measurements in cm. Units without a conversion, such as those of custom trackers, are shown as is.
+ */
+
+// Display units and how many canonical units one of them holds
+const DISPLAY_UNITS = {
+  'fl oz': { base: 'ml', factor: 29.5735, decimals: 1 },
+  cup: { base: 'ml', factor: 236.588, decimals: 2 },
+  oz: { base: 'g', factor: 28.3495, decimals: 2 },
+  lb: { base: 'kg', factor: 0.453592, decimals: 1 },
+  in: { base: 'cm', factor: 2.54, decimals: 1 }
+};
+
+// Unit systems as canonical unit -> display unit
+const UNIT_SYSTEMS = {
+  metric: { label: 'Metric (ml, g, kg)', units: {} },
+  imperial: { label: 'Imperial (fl oz, oz, lb)', units: { ml: 'fl oz', g: 'oz', kg: 'lb', cm: 'in' } },
+  imperial_cups: { label: 'Imperial with cups (cups, oz, lb)', units: { ml: 'cup', g: 'oz', kg: 'lb', cm: 'in' } }
+};
+
+const units = {
+  /**
+   * Get the selected unit system
+   * @returns {string} Key of UNIT_SYSTEMS
+   */
+  getSystem() {
+    const system = localStorage.getItem(STORAGE_KEYS.UNIT_SYSTEM);
+    return UNIT_SYSTEMS[system] ? system : 'metric';
+  },
+  
+  /**
+   * Get the unit that amounts stored in a canonical unit are shown in
+   * @param {string} unit - Canonical unit
+   * @returns {string} Display unit
+   */
+  getDisplayUnit(unit) {
+    return UNIT_SYSTEMS[this.getSystem()].units[unit] || unit;
+  },
+  
+  /**
+   * Convert a canonical amount for display
+   * @param {number} amount - Amount in the canonical unit
+   * @param {string} unit - Canonical unit
+   * @returns {number} Rounded amount in the display unit
+   */
+  toDisplay(amount, unit) {
+    const displayUnit = DISPLAY_UNITS[this.getDisplayUnit(unit)];
+    if (!displayUnit) return Math.round(amount * 100) / 100;
+    
+    const precision = 10 ** displayUnit.decimals;
+    return Math.round((amount / displayUnit.factor) * precision) / precision;
+  },
+  
+  /**
+   * Convert an amount entered in the display unit to the canonical unit
+   * @param {number} amount - Amount in the display unit
+   * @param {string} unit - Canonical unit
+   * @returns {number} Amount in the canonical unit, rounded to 2 decimals
+   */
+  fromDisplay(amount, unit) {
+    const displayUnit = DISPLAY_UNITS[this.getDisplayUnit(unit)];
+    const canonical = displayUnit ? amount * displayUnit.factor : amount;
+    return Math.round(canonical * 100) / 100;
+  },
+  
+  /**
+   * Format a canonical amount with its display unit
+   * @param {number} amount - Amount in the canonical unit
+   * @param {string} unit - Canonical unit
+   * @returns {string} Text such as "250 ml" or "8.5 fl oz"
+   */
+  format(amount, unit) {
+    return `${this.toDisplay(amount, unit)} ${this.getDisplayUnit(unit)}`;
+  },
+  
+  /**
+   * Set up the unit system selector and redraw the trackers when it changes
+   */
+  initialize() {
+    const select = document.getElementById('unit-system');
+    if (!select) return;
+    
+    Object.entries(UNIT_SYSTEMS).forEach(([key, system]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = system.label;
+      select.appendChild(option);
+    });
+    select.value = this.getSystem();
+    
+    select.addEventListener('change', () => {
+      localStorage.setItem(STORAGE_KEYS.UNIT_SYSTEM, select.value);
+      
+      [waterTracker, proteinTracker, ...customTrackers.instances].forEach(tracker => tracker.refreshUnits());
+      goalCalculator.render();
+      bodyTracker.updateDisplay();
+      utils.showToast(`Showing amounts in ${UNIT_SYSTEMS[select.value].label}`, 'success');
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * Health Tracker App - ZIP Archives
+ * This file contains a small ZIP writer used to bundle several export files into one download,
+ * and a reader for ZIP exports from other apps. Written files are stored without compression,
+ * which every unzip tool and spreadsheet app can open; compressed files are read with the
+ * browser's DecompressionStream.
+ */
+
+const zipArchive = {
+  // Lazily built CRC-32 lookup table
+  crcTable: null,
+  
+  /**
+   * Calculate the CRC-32 checksum of some bytes
+   * @param {Uint8Array} bytes - Data to checksum
+   * @returns {number} Unsigned CRC-32
+   */
+  crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+    
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+  
+  /**
+   * Convert a date to MS-DOS time and date fields
+   * @param {Date} date - Date to convert
+   * @returns {Object} { time, date }
+   */
+  toDosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  },
+  
+  /**
+   * Create a ZIP archive
+   * @param {Array<Object>} files - Files to add as { name, content } with string content
+   * @returns {Blob} ZIP file
+   */
+  create(files) {
+    const encoder = new TextEncoder();
+    const modified = this.toDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = this.crc32(data);
+      
+      // Local file header
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);          // Version needed to extract
+      local.setUint16(6, 0x0800, true);      // UTF-8 file names
+      local.setUint16(8, 0, true);           // Stored (no compression)
+      local.setUint16(10, modified.time, true);
+      local.setUint16(12, modified.date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      localParts.push(local, name, data);
+      
+      // Central directory entry
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true);
+      central.setUint16(4, 20, true);        // Version made by
+      central.setUint16(6, 20, true);        // Version needed to extract
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, modified.time, true);
+      central.setUint16(14, modified.date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);   // Offset of the local header
+      centralParts.push(central, name);
+      
+      offset += 30 + name.length + data.length;
+    });
+    
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+    
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+  },
+  
+  /**
+   * Decompress raw deflate data
+   * @param {Uint8Array} data - Compressed data
+   * @returns {Promise<Uint8Array>} Decompressed data
+   */
+  async inflate(data) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot open compressed ZIP files. Please extract the ZIP and import its CSV files instead.');
+    }
+    
+    const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  },
+  
+  /**
+   * Read the text files in a ZIP archive
+   * @param {ArrayBuffer} buffer - ZIP file contents
+   * @returns {Promise<Array<Object>>} Files as { name, content } with string content
+   * @throws {Error} If the file is not a ZIP archive or uses an unsupported compression method
+   */
+  async read(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+    
+    // The end of central directory record is followed by an optional comment of up to 64KB
+    let endOffset = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+      if (view.getUint32(i, true) === 0x06054B50) {
+        endOffset = i;
+        break;
+      }
+    }
+    
+    if (endOffset < 0) {
+      throw new Error('File is not a valid ZIP archive.');
+    }
+    
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const files = [];
+    
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== 0x02014B50) {
+        throw new Error('File is not a valid ZIP archive.');
+      }
+      
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      
+      offset += 46 + nameLength + extraLength + commentLength;
+      
+      // Skip folders
+      if (name.endsWith('/')) continue;
+      
+      const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataOffset, compressedSize);
+      
+      if (method !== 0 && method !== 8) {
+        throw new Error(`"${name}" uses an unsupported compression method.`);
+      }
+      
+      files.push({
+        name,
+        content: decoder.decode(method === 8 ? await this.inflate(data) : data)
+      });
+    }
+    
+    return files;
+  }
+};
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * Health & Habit Tracker App - Loop Habit Tracker Import
+ * This file reads the CSV/ZIP export of Loop Habit Tracker (Habits.csv plus Checkmarks.csv)
+ * and turns its habits and completed days into a snapshot that can be merged into habits_data.
+ */
+
+// Loop's built-in palette, used by exports that store the color as a palette index
+const LOOP_PALETTE = [
+  '#D32F2F', '#E64A19', '#F57C00', '#FF8F00', '#F9A825',
+  '#AFB42B', '#7CB342', '#388E3C', '#00897B', '#00ACC1',
+  '#039BE5', '#1976D2', '#303F9F', '#5E35B1', '#8E24AA',
+  '#D81B60', '#5D4037', '#303030', '#757575', '#AAAAAA'
+];
+
+// Loop checkmark values that do not mean the habit was done
+// (-1 unknown, 0 not done, 1 implied by the habit's frequency, 3 skipped)
+const LOOP_NOT_DONE_VALUES = [-1, 0, 1, 3];
+
+const loopImport = {
+  /**
+   * Read the picked files, unpacking ZIP archives
+   * @param {Array<File>} files - Files picked by the user
+   * @returns {Promise<Array<Object>>} Files as { name, content }
+   */
+  async readFiles(files) {
+    const contents = [];
+    
+    for (const file of files) {
+      if (file.size > 10 * 1024 * 1024) { // 10MB limit
+        throw new Error(`"${file.name}" is too large. Maximum size is 10MB.`);
+      }
+      
+      if (file.name.toLowerCase().endsWith('.zip')) {
+        contents.push(...await zipArchive.read(await utils.readFile(file, true)));
+      } else {
+        contents.push({ name: file.name, content: await utils.readFile(file) });
+      }
+    }
+    
+    return contents;
+  },
+  
+  /**
+   * Get the last part of a file path
+   * @param {string} path - File path
+   * @returns {string} File name
+   */
+  getBaseName(path) {
+    return path.split('/').pop();
+  },
+  
+  /**
+   * Map a Loop color to the closest habit color of this app
+   * @param {string} value - Hex color or Loop palette index
+   * @returns {string} Habit color name
+   */
+  toHabitColor(value) {
+    const text = (value || '').trim();
+    const hex = /^\d+$/.test(text) ? LOOP_PALETTE[parseInt(text)] : text;
+    const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+    if (!match) return 'default';
+    
+    const toRgb = code => [0, 2, 4].map(i => parseInt(code.replace('#', '').substr(i, 2), 16));
+    const rgb = toRgb(match[1]);
+    let closest = 'default';
+    let closestDistance = Infinity;
+    
+    Object.entries(HABIT_COLORS).forEach(([name, code]) => {
+      if (name === 'default') return;
+      
+      const distance = toRgb(code).reduce((sum, channel, i) => sum + (channel - rgb[i]) ** 2, 0);
+      if (distance < closestDistance) {
+        closest = name;
+        closestDistance = distance;
+      }
+    });
+    
+    return closest;
+  },
+  
+  /**
+   * Check whether a Loop checkmark value means the habit was done
+   * @param {string} value - Checkmark value
+   * @returns {boolean} True for completed days
+   */
+  isDone(value) {
+    const number = parseFloat(value);
+    
+    // Numerical habits export the amount entered, which is any other positive number
+    return number > 0 && !LOOP_NOT_DONE_VALUES.includes(number);
+  },
+  
+  /**
+   * Convert a Loop export into a habits-only snapshot
+   * @param {Array<Object>} files - Files from readFiles()
+   * @returns {Object} { snapshot, report }
+   * @throws {Error} If the files do not contain a Loop export
+   */
+  toSnapshot(files) {
+    const snapshot = {
+      schemaVersion: SCHEMA_VERSION,
+      water: { goal: null, history: null },
+      protein: { goal: null, history: null },
+      workout: { state: null, count: null, history: null },
+      habits: { data: [] },
+      archives: [],
+      settings: { theme: null, reminder: null }
+    };
+    const report = { habits: 0, checkins: 0 };
+    const habitsByName = {};
+    
+    const getHabit = name => {
+      const key = name.toLowerCase();
+      if (!habitsByName[key]) {
+        habitsByName[key] = { name, color: 'default', history: {} };
+        snapshot.habits.data.push(habitsByName[key]);
+      }
+      return habitsByName[key];
+    };
+    
+    const addCheckmark = (habit, dateValue, value) => {
+      const date = csvData.parseDate((dateValue || '').trim(), 'mdy');
+      if (!date || !this.isDone(value)) return;
+      
+      if (!habit.history[date]) report.checkins++;
+      habit.history[date] = 'done';
+    };
+    
+    // Habits.csv: Position, Name, ..., Color
+    const habitNamesByPosition = {};
+    const habitsFile = files.find(file => this.getBaseName(file.name).toLowerCase() === 'habits.csv');
+    
+    if (habitsFile) {
+      const [header = [], ...rows] = csvData.parse(habitsFile.content);
+      const columns = header.map(title => title.trim().toLowerCase());
+      const nameColumn = columns.indexOf('name');
+      const colorColumn = columns.indexOf('color');
+      const positionColumn = columns.indexOf('position');
+      
+      if (nameColumn < 0) {
+        throw new Error('Habits.csv has no Name column.');
+      }
+      
+      rows.forEach((row, index) => {
+        const name = (row[nameColumn] || '').trim();
+        if (!name) return;
+        
+        const habit = getHabit(name);
+        if (colorColumn >= 0) habit.color = this.toHabitColor(row[colorColumn]);
+        
+        const position = positionColumn >= 0 ? parseInt(row[positionColumn]) : index + 1;
+        habitNamesByPosition[position] = name;
+      });
+    }
+    
+    // Checkmarks.csv in the root folder: Date, then one column per habit
+    const overviewFile = files.find(file => file.name.toLowerCase() === 'checkmarks.csv' &&
+      ((csvData.parse(file.content)[0] || [])[0] || '').trim().toLowerCase() === 'date');
+    
+    if (overviewFile) {
+      const [header, ...rows] = csvData.parse(overviewFile.content);
+      const habits = header.map((title, column) => column > 0 && title.trim() ? getHabit(title.trim()) : null);
+      
+      rows.forEach(row => {
+        habits.forEach((habit, column) => {
+          if (habit) addCheckmark(habit, row[0], row[column]);
+        });
+      });
+    } else {
+      // "001 Habit name/Checkmarks.csv": Date, Value without a header
+      files.forEach(file => {
+        const match = /(?:^|\/)(?:(\d+) )?([^/]+)\/Checkmarks\.csv$/i.exec(file.name);
+        if (!match) return;
+        
+        // Folder names are shortened and stripped of special characters, so prefer Habits.csv names
+        const habit = getHabit(habitNamesByPosition[parseInt(match[1])] || match[2].trim());
+        
+        csvData.parse(file.content).forEach(row => addCheckmark(habit, row[0], row[1]));
+      });
+    }
+    
+    if (!habitsFile && report.checkins === 0) {
+      throw new Error('No Loop Habit Tracker data found. Please pick the exported ZIP, or Habits.csv and Checkmarks.csv.');
+    }
+    
+    report.habits = snapshot.habits.data.length;
+    
+    return { snapshot, report };
+  }
+};
\ No newline at end of file
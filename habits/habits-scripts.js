@@ -3,6 +3,31 @@
  * This file contains the implementation of the habits tracker functionality
  */
 
+// Hex codes of the habit colors
+const HABIT_COLORS = {
+  'red': '#FF0000',
+  'coral': '#FF5042',
+  'pink': '#FF4A8D',
+  'lightpink': '#FFC8F0',
+  'purple': '#B96CDA',
+  'navy': '#334C77',
+  'skyblue': '#58B5F0',
+  'royalblue': '#5B6EF7',
+  'blue': '#2196F3',
+  'teal': '#40BBD4',
+  'lightblue': '#77D1F3',
+  'lightgreen': '#5DD959',
+  'green': '#4CAF50',
+  'darkgreen': '#159D82',
+  'seagreen': '#4AD6B8',
+  'yellow': '#FFDE0A',
+  'orange': '#FF9F29',
+  'tangerine': '#FF7B29',
+  'darkorange': '#E25C28',
+  'gray': '#A5A5A5',
+  'default': '#FFFFFF'
+};
+
 /**
  * HabitsTracker class for tracking daily habits
  */
@@ -12,7 +37,6 @@ class HabitsTracker {
    */
   constructor() {
     // Define storage keys
-    this.habitsKey = 'habits_data';
     this.lastResetKey = `${STORAGE_KEYS.LAST_RESET_PREFIX}habits`;
     
     // Initialize variables
@@ -25,7 +49,7 @@ class HabitsTracker {
     this.dragSrcElement = null;
     this.dragSrcIndex = null;
     this.isEditing = false;
-    this.currentCalendarMonth = new Date();
+    this.currentCalendarMonth = utils.getTrackingDate();
     this.isCalendarEditing = false;
     this.months = [];
     this.currentDateOffset = 0;
@@ -35,24 +59,25 @@ class HabitsTracker {
     this.touchOrigin = null;
     this.touchMoveHandler = null;
     
-    // Load habits data
-    this.loadHabits();
-    
     // Initialize UI elements
     this.initElements();
     
     // Initialize event listeners
     this.initEventListeners();
     
-    // Set up core functionality
-    this.updateDateSelector();
-    this.renderHabits();
-    
-    // Initialize midnight reset
-    this.setupMidnightReset();
-    
     // Fix for touch events
     this.enhanceTouchEvents();
+    
+    // Load habits data, then set up core functionality
+    this.ready = this.loadHabits()
+      .catch(error => healthDB.reportError(error))
+      .then(() => {
+        this.updateDateSelector();
+        this.renderHabits();
+        
+        // Move the grid whenever the day changes
+        window.addEventListener(DAY_CHANGE_EVENT, () => this.checkAndResetDailyHabits());
+      });
   }
   
   /**
@@ -256,7 +281,7 @@ updateDateSelector() {
   datesContainer.className = 'dates-container';
   
   // Calculate dates based on offset
-  const today = new Date();
+  const today = utils.getTrackingDate();
   
   for (let i = this.DAYS_TO_SHOW - 1; i >= 0; i--) {
     const date = new Date(today);
@@ -309,100 +334,69 @@ alignDateItemsWithHabitDays() {
   }, 0);
 }
   /**
-   * Load habits from localStorage
+   * Load habits and their check-ins from the database
+   * @returns {Promise<void>}
    */
-  loadHabits() {
-    const storedHabits = localStorage.getItem(this.habitsKey);
-    if (storedHabits) {
-      this.habits = JSON.parse(storedHabits);
-      this.habits.forEach(habit => {
-        if (!habit.history) habit.history = {};
-      });
-    } else {
-      // Create default habits list with empty history
+  async loadHabits() {
+    const [habitRecords, checkinRecords, archives, seeded] = await Promise.all([
+      healthDB.getAll(DB_STORES.HABITS),
+      healthDB.getAll(DB_STORES.CHECKINS),
+      healthDB.getAllByIndex(DB_STORES.ARCHIVES, 'kind', 'habit'),
+      healthDB.getMeta(DB_META_KEYS.HABITS_SEEDED)
+    ]);
+    
+    this.habits = healthDB.toHabitList(habitRecords, checkinRecords);
+    
+    // Archived months still count towards streaks and the calendar
+    historyArchive.applyHabitArchives(this.habits, archives);
+    
+    if (this.habits.length === 0 && !seeded) {
+      // Create default habits list with empty history on first run
       this.habits = [
-        { name: 'Start a Habit', color: 'default', history: {} }
+        { id: healthDB.createHabitId(), name: 'Start a Habit', color: 'default', history: {} }
       ];
+      this.saveHabits();
+      healthDB.setMeta(DB_META_KEYS.HABITS_SEEDED, true).catch(error => healthDB.reportError(error));
     }
   }
   
   /**
-   * Save habits to localStorage with storage quota handling
+   * Save habit definitions (name, color, order) to the database
    */
   saveHabits() {
-    // Check if we're low on storage space
-    if (storageManager && storageManager.isNearQuota && storageManager.isNearQuota()) {
-      // Try to clean up old data
-      const cleaned = storageManager.cleanupOldData();
-      
-      if (!cleaned) {
-        utils.showToast('Storage space is running low. Old habit history may be archived.', 'warning');
-        
-        // Keep only last 30 days of history for each habit
-        this.habits.forEach(habit => {
-          if (habit.history) {
-            const dates = Object.keys(habit.history).sort();
-            if (dates.length > 30) {
-              const datesToRemove = dates.slice(0, dates.length - 30);
-              datesToRemove.forEach(date => {
-                delete habit.history[date];
-              });
-            }
-          }
-        });
-      }
-    }
-    
-    try {
-      localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
-    } catch (error) {
-      // Handle storage errors
-      if (error.name === 'QuotaExceededError' || 
-          error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || 
-          error.code === 22) {
-        utils.showToast('Not enough storage space. Some habit history may be lost.', 'error');
-        
-        // Aggressive cleanup - remove all history except current month
-        const currentMonth = new Date().getMonth();
-        const currentYear = new Date().getFullYear();
-        
-        this.habits.forEach(habit => {
-          if (habit.history) {
-            Object.keys(habit.history).forEach(dateKey => {
-              const date = new Date(dateKey);
-              if (date.getMonth() !== currentMonth || date.getFullYear() !== currentYear) {
-                delete habit.history[dateKey];
-              }
-            });
-          }
-        });
-        
-        // Try again
-        try {
-          localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
-        } catch (error2) {
-          // Last resort - only keep today's data
-          const today = utils.formatDate(new Date());
-          
-          this.habits.forEach(habit => {
-            const todayStatus = habit.history && habit.history[today];
-            habit.history = {};
-            if (todayStatus) {
-              habit.history[today] = todayStatus;
-            }
-          });
-          
-          try {
-            localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
-            utils.showToast('Storage space critically low. Only today\'s data kept.', 'error');
-          } catch (error3) {
-            utils.showToast('Unable to save habits data. Please export your data.', 'error');
-          }
-        }
-      } else {
-        utils.showToast(`Error saving habits: ${error.message}`, 'error');
-      }
-    }
+    const records = this.habits.map((habit, index) => ({
+      id: habit.id,
+      name: habit.name,
+      color: habit.color,
+      order: index
+    }));
+    
+    healthDB.putAll(DB_STORES.HABITS, records).catch(error => healthDB.reportError(error));
+  }
+  
+  /**
+   * Save a single day's status for a habit
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   */
+  saveCheckin(habit, dateKey) {
+    healthDB.put(DB_STORES.CHECKINS, {
+      habitId: habit.id,
+      date: dateKey,
+      status: habit.history[dateKey]
+    }).catch(error => healthDB.reportError(error));
+  }
+  
+  /**
+   * Delete a habit, its check-ins and its archived months from the database
+   * @param {Object} habit - Habit object
+   */
+  deleteHabitRecords(habit) {
+    healthDB.transaction([DB_STORES.HABITS, DB_STORES.CHECKINS, DB_STORES.ARCHIVES], 'readwrite', tx => {
+      tx.objectStore(DB_STORES.HABITS).delete(habit.id);
+      healthDB.deleteByIndexInTransaction(tx, DB_STORES.CHECKINS, 'habitId', habit.id);
+      healthDB.deleteByIndexInTransaction(tx, DB_STORES.ARCHIVES, 'habitId', habit.id);
+    }).catch(error => healthDB.reportError(error));
   }
   
   /**
@@ -480,7 +474,7 @@ alignDateItemsWithHabitDays() {
       }
       
       // Save changes
-      this.saveHabits();
+      this.saveCheckin(habit, dateKey);
       
       // Add haptic feedback if available
       if (window.navigator && window.navigator.vibrate) {
@@ -560,7 +554,7 @@ alignDateItemsWithHabitDays() {
     }
     
     // Save changes
-    this.saveHabits();
+    this.saveCheckin(habit, dateKey);
   }
   
   /**
@@ -608,7 +602,7 @@ alignDateItemsWithHabitDays() {
       
       // Build habit grid
       let habitGrid = '';
-      const today = new Date();
+      const today = utils.getTrackingDate();
       
       for (let i = this.DAYS_TO_SHOW - 1; i >= 0; i--) {
         const date = new Date(today);
@@ -775,6 +769,7 @@ alignDateItemsWithHabitDays() {
     }
     
     this.habits.push({
+      id: healthDB.createHabitId(),
       name: habitName,
       color: this.selectedColor,
       history: {}
@@ -916,7 +911,7 @@ alignDateItemsWithHabitDays() {
   showHabitDetail(index) {
     this.currentHabitIndex = index;
     const habit = this.habits[index];
-    this.currentCalendarMonth = new Date();
+    this.currentCalendarMonth = utils.getTrackingDate();
     this.isCalendarEditing = false;
     
     // Update UI visibility
@@ -1015,31 +1010,7 @@ alignDateItemsWithHabitDays() {
    * @returns {string} - Hex color code
    */
   getColorHex(color) {
-    const colorMap = {
-      'red': '#FF0000',
-      'coral': '#FF5042',
-      'pink': '#FF4A8D',
-      'lightpink': '#FFC8F0',
-      'purple': '#B96CDA',
-      'navy': '#334C77',
-      'skyblue': '#58B5F0',
-      'royalblue': '#5B6EF7',
-      'blue': '#2196F3',
-      'teal': '#40BBD4',
-      'lightblue': '#77D1F3',
-      'lightgreen': '#5DD959',
-      'green': '#4CAF50',
-      'darkgreen': '#159D82',
-      'seagreen': '#4AD6B8',
-      'yellow': '#FFDE0A',
-      'orange': '#FF9F29',
-      'tangerine': '#FF7B29',
-      'darkorange': '#E25C28',
-      'gray': '#A5A5A5',
-      'default': '#FFFFFF'
-    };
-    
-    return colorMap[color] || '#FFFFFF';
+    return HABIT_COLORS[color] || HABIT_COLORS.default;
   }
   
   /**
@@ -1081,8 +1052,9 @@ alignDateItemsWithHabitDays() {
     };
     
     const confirmDelete = function() {
-      window.habitsTracker.habits.splice(indexToDelete, 1);
+      const [deletedHabit] = window.habitsTracker.habits.splice(indexToDelete, 1);
       window.habitsTracker.saveHabits();
+      window.habitsTracker.deleteHabitRecords(deletedHabit);
       document.body.removeChild(confirmationModal);
       window.habitsTracker.showMainView();
     };
@@ -1117,7 +1089,7 @@ alignDateItemsWithHabitDays() {
   if (axis) chartContainer.appendChild(axis);
   
   // Get data for last 30 days
-  const today = new Date();
+  const today = utils.getTrackingDate();
   const thirtyDaysAgo = new Date(today);
   thirtyDaysAgo.setDate(today.getDate() - 30);
   
@@ -1203,7 +1175,7 @@ renderCalendar(habit) {
   
   this.calendarScrollContent.innerHTML = '';
   
-  const today = new Date();
+  const today = utils.getTrackingDate();
   this.months = [];
   
   // Generate months from current month backwards
@@ -1317,7 +1289,7 @@ createMonthCalendar(habit, monthDate) {
     }
     
     // Check if this date is in the future
-    const today = new Date();
+    const today = utils.getTrackingDate();
     today.setHours(0, 0, 0, 0); // Reset time to midnight for accurate comparison
     const isFutureDate = date > today;
 
@@ -1477,7 +1449,7 @@ toggleCalendarEdit() {
     if (!dateKey) return;
     
     const cellDate = new Date(dateKey);
-    const today = new Date();
+    const today = utils.getTrackingDate();
     today.setHours(0, 0, 0, 0); // Reset time for accurate comparison
     const isFutureDate = cellDate > today;
     
@@ -1499,7 +1471,7 @@ toggleCalendarEdit() {
           cell.classList.remove('active', habit.color);
         }
         
-        this.saveHabits();
+        this.saveCheckin(habit, dateKey);
         
         // Update chart and streaks without re-rendering calendar
         this.renderChart(habit);
@@ -1614,29 +1586,14 @@ calculateStreaks(history) {
  * Check if daily habits need to be reset
  */
 checkAndResetDailyHabits() {
-  const currentDate = utils.formatDate(new Date());
+  const currentDate = utils.getTodayKey();
   const lastResetDate = localStorage.getItem(this.lastResetKey);
   
   if (lastResetDate !== currentDate) {
-    // Nothing to reset, just update the last reset date
+    // Nothing to reset, just move the grid to the new day
     localStorage.setItem(this.lastResetKey, currentDate);
+    this.updateDateSelector();
+    this.renderHabits();
   }
 }
-
-/**
- * Setup automatic reset at midnight
- */
-setupMidnightReset() {
-  // Calculate time until next midnight
-  const now = new Date();
-  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-  const midnight = new Date(tomorrow.setHours(0, 0, 0, 0));
-  const msUntilMidnight = midnight - now;
-  
-  // Set timeout for midnight reset
-  setTimeout(() => {
-    this.checkAndResetDailyHabits();
-    this.setupMidnightReset(); // Set up next day's reset
-  }, msUntilMidnight);
-}
 }
\ No newline at end of file
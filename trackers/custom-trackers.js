@@ -0,0 +1,436 @@
+/**
+ * Health Tracker App - Custom Trackers
+ * This file contains the user-defined quantity trackers (caffeine, calories, steps...).
+ * Each one is a Tracker like water and protein; its tab, progress ring, settings and
+ * history panels are generated at startup from the definitions kept in localStorage.
+ */
+
+const customTrackers = {
+  // Tracker instances created at startup
+  instances: [],
+  
+  /**
+   * Get the saved tracker definitions
+   * @returns {Array<Object>} Definitions as { id, name, unit, color }
+   */
+  getDefinitions() {
+    try {
+      const definitions = JSON.parse(localStorage.getItem(STORAGE_KEYS.CUSTOM_TRACKERS));
+      return Array.isArray(definitions) ? definitions : [];
+    } catch (error) {
+      console.error('Invalid custom tracker definitions:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Save tracker definitions
+   * @param {Array<Object>} definitions - Definitions to save
+   */
+  saveDefinitions(definitions) {
+    localStorage.setItem(STORAGE_KEYS.CUSTOM_TRACKERS, JSON.stringify(definitions));
+  },
+  
+  /**
+   * Check whether a tracker id is one this app generates
+   * @param {string} id - Tracker id
+   * @returns {boolean} True for a valid custom tracker id
+   */
+  isValidId(id) {
+    return /^custom_[a-z0-9_]+$/.test(id);
+  },
+  
+  /**
+   * Create a unique tracker id from a name
+   * @param {string} name - Tracker name
+   * @param {Array<Object>} definitions - Existing definitions
+   * @returns {string} Tracker id, e.g. 'custom_caffeine'
+   */
+  createId(name, definitions) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'tracker';
+    const ids = new Set(definitions.map(definition => definition.id));
+    
+    let id = `custom_${slug}`;
+    for (let n = 2; ids.has(id); n++) {
+      id = `custom_${slug}_${n}`;
+    }
+    return id;
+  },
+  
+  /**
+   * Parse quick-add presets typed as a list of numbers
+   * @param {string} text - Presets such as "50, 100, 200"
+   * @returns {Array<Object>} Quick-add buttons as { amount, label }
+   */
+  parsePresets(text) {
+    return Tracker.normalizePresets(text.split(/[,;\s]+/));
+  },
+  
+  /**
+   * Build the tab button and app section of a tracker
+   * @param {Object} definition - Tracker definition
+   * @returns {Object} { tabButton, section } elements
+   */
+  createMarkup(definition) {
+    const id = definition.id;
+    const name = utils.escapeHtml(definition.name);
+    const unit = utils.escapeHtml(definition.unit);
+    
+    const tabButton = document.createElement('button');
+    tabButton.id = `${id}-tab-btn`;
+    tabButton.className = 'tab-btn custom-tab';
+    tabButton.dataset.app = id;
+    tabButton.dataset.color = definition.color;
+    tabButton.style.setProperty('--tracker-color', definition.color);
+    tabButton.innerHTML = `
+      <i class="material-icons-round">donut_large</i>
+      <span>${name}</span>
+    `;
+    
+    const section = document.createElement('section');
+    section.id = `${id}-app`;
+    section.className = 'app-container custom-app';
+    section.style.setProperty('--tracker-color', definition.color);
+    section.innerHTML = `
+      <div class="card main-card">
+        <div class="card-header">
+          <button class="icon-btn" id="${id}-history-toggle" aria-label="History">
+            <i class="material-icons-round">history</i>
+          </button>
+          <h2>${name}</h2>
+          <button class="icon-btn" id="${id}-settings-toggle" aria-label="Settings">
+            <i class="material-icons-round">settings</i>
+          </button>
+        </div>
+        
+        <div class="goal-visual">
+          <div class="circular-progress">
+            <svg viewBox="0 0 100 100">
+              <circle class="progress-bg" cx="50" cy="50" r="45"></circle>
+              <circle class="progress-bar" id="${id}-progress-circle" cx="50" cy="50" r="45"></circle>
+            </svg>
+            <div class="progress-content">
+              <span id="${id}-total">0</span>
+              <span class="unit unit-label">${unit}</span>
+            </div>
+          </div>
+        </div>
+        
+        <div class="progress-text">
+          <p><span class="goal-type-label">Daily Goal</span>: <span id="${id}-goal-display">0</span> <span class="unit-label">${unit}</span></p>
+          <p>Remaining: <span id="${id}-remaining">0</span> <span class="unit-label">${unit}</span></p>
+        </div>
+        
+        <div class="quick-add" id="${id}-quick-add"></div>
+        
+        <div class="custom-add">
+          <input type="number" id="${id}-manual" placeholder="Custom amount" min="0" step="any" />
+          <button id="${id}-add-manual" class="action-btn custom">Add</button>
+        </div>
+        
+        <details class="log-time" id="${id}-log-time">
+          <summary>Log for another day or time</summary>
+          <div class="log-time-inputs">
+            <input type="date" id="${id}-log-date" aria-label="Date" />
+            <input type="time" id="${id}-log-clock" aria-label="Time" />
+          </div>
+        </details>
+        
+        <button id="${id}-reset-daily" class="reset-btn">
+          <i class="material-icons-round">refresh</i> Reset Today
+        </button>
+      </div>
+      
+      <div class="panel settings-panel" id="${id}-settings-section">
+        <div class="panel-header">
+          <h3>${name} Settings</h3>
+          <button class="close-panel icon-btn" aria-label="Close">
+            <i class="material-icons-round">close</i>
+          </button>
+        </div>
+        
+        <div class="form-group">
+          <label for="${id}-goal-type">Goal Type</label>
+          <select id="${id}-goal-type">
+            <option value="target">Daily target (reach at least)</option>
+            <option value="limit">Daily limit (stay under)</option>
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="${id}-goal"><span class="goal-type-label">Daily Goal</span> (<span class="unit-label">${unit}</span>)</label>
+          <input type="number" id="${id}-goal" placeholder="Enter goal in ${unit}" min="0" step="any" />
+        </div>
+        
+        <details class="weekday-goals">
+          <summary>Different goal on some weekdays</summary>
+          <div class="weekday-goal-inputs" id="${id}-weekday-goals"></div>
+        </details>
+        
+        <details class="weekday-goals">
+          <summary>Schedule a goal change</summary>
+          <div class="weekday-goal-inputs">
+            <label class="weekday-goal">
+              <span>Starts</span>
+              <input type="date" id="${id}-goal-from" />
+            </label>
+            <label class="weekday-goal">
+              <span>Ends (optional)</span>
+              <input type="date" id="${id}-goal-until" />
+            </label>
+          </div>
+          <p class="scheduled-goal-hint">The goal above applies from the start date on, or up to the end date if one is set. Leave both empty to change the goal from today.</p>
+          <ul class="intake-entries" id="${id}-scheduled-goals"></ul>
+        </details>
+        
+        <div class="btn-group">
+          <button id="${id}-set-goal" class="action-btn custom">Save Goal</button>
+          <button id="${id}-reset-data" class="danger-btn">
+            <i class="material-icons-round">delete</i> Reset All Data
+          </button>
+        </div>
+        
+        <hr style="border: none; border-top: 1px solid var(--border-color); margin: var(--spacing-lg) 0;">
+        
+        <div class="form-group">
+          <label>Quick-Add Buttons</label>
+          <div class="preset-editor" id="${id}-preset-editor"></div>
+        </div>
+        
+        <div class="btn-group">
+          <button id="${id}-add-preset" class="action-btn neutral">
+            <i class="material-icons-round">add</i> Add Button
+          </button>
+          <button id="${id}-save-presets" class="action-btn custom">Save Buttons</button>
+        </div>
+      </div>
+      
+      <div class="panel history-panel" id="${id}-history-popup">
+        <div class="panel-header">
+          <h3>${name} History</h3>
+          <button class="close-panel icon-btn" aria-label="Close">
+            <i class="material-icons-round">close</i>
+          </button>
+        </div>
+        
+        <div class="tabs-inner">
+          <button class="tab-button active" data-tab="${id}-daily-history">
+            Weekly Summary
+          </button>
+          <button class="tab-button" data-tab="${id}-current-intake">
+            Today's Details
+          </button>
+        </div>
+        
+        <div class="tab-content active" id="${id}-daily-history"></div>
+        <div class="tab-content" id="${id}-current-intake"></div>
+      </div>
+    `;
+    
+    return { tabButton, section };
+  },
+  
+  /**
+   * Add the tabs and panels of every custom tracker and create their Tracker instances.
+   * Must run before the tab navigation and panels are initialized.
+   * @returns {Array<Tracker>} Created trackers
+   */
+  initialize() {
+    const workoutTab = document.getElementById('workout-tab-btn');
+    const workoutApp = document.getElementById('workout-app');
+    
+    this.instances = this.getDefinitions().map(definition => {
+      const { tabButton, section } = this.createMarkup(definition);
+      workoutTab.parentNode.insertBefore(tabButton, workoutTab);
+      workoutApp.parentNode.insertBefore(section, workoutApp);
+      
+      // Definitions saved before quick-add buttons were editable still carry their amounts
+      return new Tracker({
+        type: definition.id,
+        unit: definition.unit,
+        label: definition.name,
+        colorClass: 'custom',
+        presets: definition.presets || []
+      });
+    });
+    
+    return this.instances;
+  },
+  
+  /**
+   * Write the definitions, goals, goal types, goal timelines and quick-add buttons of imported trackers.
+   * Trackers that already exist keep their place and get the imported definition.
+   * @param {Array<Object>|null} trackers - Custom trackers from a snapshot
+   */
+  applySettings(trackers) {
+    if (!trackers) return;
+    
+    const definitions = this.getDefinitions();
+    
+    trackers.forEach(tracker => {
+      const definition = {
+        id: tracker.id,
+        name: tracker.name,
+        unit: tracker.unit,
+        color: tracker.color
+      };
+      const index = definitions.findIndex(existing => existing.id === tracker.id);
+      
+      if (index >= 0) {
+        definitions[index] = definition;
+      } else {
+        definitions.push(definition);
+      }
+      
+      if (tracker.goal) {
+        localStorage.setItem(STORAGE_KEYS.GOAL_PREFIX + tracker.id, tracker.goal);
+      }
+      if (tracker.goalType === 'target' || tracker.goalType === 'limit') {
+        localStorage.setItem(STORAGE_KEYS.GOAL_TYPE_PREFIX + tracker.id, tracker.goalType);
+      }
+      if (tracker.goalHistory && tracker.goalHistory.length > 0) {
+        localStorage.setItem(STORAGE_KEYS.GOAL_HISTORY_PREFIX + tracker.id, JSON.stringify(tracker.goalHistory));
+      }
+      if (Array.isArray(tracker.presets)) {
+        localStorage.setItem(STORAGE_KEYS.PRESETS_PREFIX + tracker.id, JSON.stringify(Tracker.normalizePresets(tracker.presets)));
+      }
+    });
+    
+    this.saveDefinitions(definitions);
+  },
+  
+  /**
+   * Create a tracker from the form in the custom trackers panel, then reload to show it
+   */
+  createFromForm() {
+    const name = document.getElementById('custom-tracker-name').value.trim();
+    const unit = document.getElementById('custom-tracker-unit').value.trim();
+    const color = document.getElementById('custom-tracker-color').value;
+    const presets = this.parsePresets(document.getElementById('custom-tracker-presets').value);
+    const goal = parseFloat(document.getElementById('custom-tracker-goal').value);
+    const goalType = document.getElementById('custom-tracker-goal-type').value === 'limit' ? 'limit' : 'target';
+    
+    if (!name || !unit) {
+      utils.showToast('Please enter a name and a unit.', 'error');
+      return;
+    }
+    
+    const definitions = this.getDefinitions();
+    
+    if (definitions.some(definition => definition.name.toLowerCase() === name.toLowerCase()) ||
+        ['water', 'protein', 'workout', 'habits'].includes(name.toLowerCase())) {
+      utils.showToast(`A tracker named "${name}" already exists.`, 'error');
+      return;
+    }
+    
+    const id = this.createId(name, definitions);
+    definitions.push({ id, name, unit, color });
+    this.saveDefinitions(definitions);
+    localStorage.setItem(STORAGE_KEYS.PRESETS_PREFIX + id, JSON.stringify(presets));
+    localStorage.setItem(STORAGE_KEYS.GOAL_TYPE_PREFIX + id, goalType);
+    
+    if (goal > 0) {
+      localStorage.setItem(STORAGE_KEYS.GOAL_PREFIX + id, goal);
+    }
+    
+    utils.showToast(`${name} tracker created. Reloading app...`, 'success');
+    setTimeout(() => location.reload(), 1500);
+  },
+  
+  /**
+   * Delete a tracker with all its entries and settings, then reload
+   * @param {Object} definition - Tracker definition
+   * @returns {Promise<void>}
+   */
+  async deleteTracker(definition) {
+    try {
+      await Promise.all([
+        healthDB.deleteByIndex(DB_STORES.INTAKE, 'tracker', definition.id),
+        historyArchive.deleteSummaries(`intake:${definition.id}:`)
+      ]);
+      
+      [
+        STORAGE_KEYS.GOAL_PREFIX,
+        STORAGE_KEYS.GOAL_HISTORY_PREFIX,
+        STORAGE_KEYS.GOAL_TYPE_PREFIX,
+        STORAGE_KEYS.LAST_RESET_PREFIX,
+        STORAGE_KEYS.PRESETS_PREFIX
+      ].forEach(prefix => localStorage.removeItem(prefix + definition.id));
+      
+      this.saveDefinitions(this.getDefinitions().filter(existing => existing.id !== definition.id));
+      
+      utils.showToast(`${definition.name} tracker deleted. Reloading app...`, 'warning');
+      setTimeout(() => location.reload(), 1500);
+    } catch (error) {
+      healthDB.reportError(error);
+    }
+  },
+  
+  /**
+   * List the existing trackers in the custom trackers panel
+   */
+  renderList() {
+    const list = document.getElementById('custom-trackers-list');
+    list.innerHTML = '';
+    
+    const definitions = this.getDefinitions();
+    
+    if (definitions.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No custom trackers yet.';
+      list.appendChild(empty);
+      return;
+    }
+    
+    definitions.forEach(definition => {
+      const row = document.createElement('div');
+      row.className = 'day-entry custom-tracker-row';
+      row.style.setProperty('--tracker-color', definition.color);
+      
+      const tracker = this.instances.find(instance => instance.type === definition.id);
+      const details = document.createElement('div');
+      
+      const title = document.createElement('p');
+      const limitText = tracker && tracker.getTodayGoalType() === 'limit' ? ', daily limit' : '';
+      title.innerHTML = `<b>${utils.escapeHtml(definition.name)}</b> (${utils.escapeHtml(definition.unit)}${limitText})`;
+      details.appendChild(title);
+      
+      const presets = document.createElement('p');
+      presets.textContent = tracker && tracker.presets.length > 0
+        ? `Quick add: ${tracker.presets.map(preset => tracker.getPresetText(preset)).join(', ')}`
+        : 'No quick-add buttons';
+      details.appendChild(presets);
+      
+      row.appendChild(details);
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'icon-btn';
+      deleteBtn.setAttribute('aria-label', `Delete ${definition.name}`);
+      deleteBtn.innerHTML = '<i class="material-icons-round">delete</i>';
+      deleteBtn.addEventListener('click', () => {
+        if (confirm(`⚠️ WARNING: This will delete the ${definition.name} tracker and ALL its data. This action cannot be undone. Are you sure?`)) {
+          this.deleteTracker(definition);
+        }
+      });
+      row.appendChild(deleteBtn);
+      
+      list.appendChild(row);
+    });
+  },
+  
+  /**
+   * Set up the custom trackers panel
+   */
+  initializeManager() {
+    const panel = document.getElementById('custom-trackers-panel');
+    if (!panel) return;
+    
+    document.getElementById('manage-custom-trackers').addEventListener('click', () => {
+      this.renderList();
+      document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
+      panel.classList.add('active');
+    });
+    
+    document.getElementById('custom-tracker-create').addEventListener('click', () => this.createFromForm());
+  }
+};
\ No newline at end of file
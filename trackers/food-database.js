@@ -0,0 +1,308 @@
+/**
+ * Health Tracker App - Food Database
+ * This file contains the barcode lookup for the food library. Products come from a food
+ * database file the user imports (such as a CSV or TSV subset of Open Food Facts) and are
+ * kept in IndexedDB, so lookups work offline. Products are reference data: they are not
+ * part of backups and can be imported again at any time.
+ */
+
+// Largest food database file accepted. The whole file is read into memory before parsing.
+const FOOD_DATABASE_MAX_SIZE = 20 * 1024 * 1024;
+
+// Header names recognized for each product field (compared in lower case)
+const FOOD_DATABASE_COLUMNS = {
+  barcode: ['code', 'barcode', 'ean', 'upc', 'gtin'],
+  name: ['product_name', 'product', 'name'],
+  brand: ['brands', 'brand'],
+  servingSize: ['serving_size', 'serving'],
+  servingQuantity: ['serving_quantity', 'serving_grams'],
+  protein100g: ['proteins_100g', 'protein_100g', 'protein per 100g'],
+  proteinServing: ['proteins_serving', 'protein_serving', 'protein per serving'],
+  calories100g: ['energy-kcal_100g', 'energy_kcal_100g', 'calories_100g'],
+  caloriesServing: ['energy-kcal_serving', 'energy_kcal_serving', 'calories_serving']
+};
+
+const foodDatabase = {
+  /**
+   * Bring an EAN/UPC barcode to one form: digits only, with UPC-A (12 digits) and
+   * GTIN-14 codes written as the matching EAN-13
+   * @param {string} value - Barcode as typed, pasted or imported
+   * @returns {string|null} Barcode, or null if it is not 8, 12, 13 or 14 digits long
+   */
+  normalizeBarcode(value) {
+    let digits = String(value || '').replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits)) return null;
+    
+    if (digits.length === 12) digits = '0' + digits;
+    if (digits.length === 14 && digits.startsWith('0')) digits = digits.slice(1);
+    
+    return [8, 13, 14].includes(digits.length) ? digits : null;
+  },
+  
+  /**
+   * Check the last digit of a barcode against the others
+   * @param {string} barcode - Barcode from normalizeBarcode()
+   * @returns {boolean} True if the check digit matches
+   */
+  hasValidCheckDigit(barcode) {
+    const digits = barcode.split('').map(Number);
+    const check = digits.pop();
+    
+    // Weights alternate 3, 1, 3, ... starting from the digit next to the check digit
+    const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+    
+    return (10 - (sum % 10)) % 10 === check;
+  },
+  
+  /**
+   * Read products from the rows of a food database file
+   * @param {Array<Array<string>>} rows - Rows from csvData.parse(), header first
+   * @returns {Object} { products, skipped }
+   */
+  parseProducts(rows) {
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    const columns = {};
+    
+    Object.entries(FOOD_DATABASE_COLUMNS).forEach(([field, names]) => {
+      columns[field] = headers.findIndex(header => names.includes(header));
+    });
+    
+    if (columns.barcode < 0 || columns.name < 0 || (columns.protein100g < 0 && columns.proteinServing < 0)) {
+      throw new Error('The file needs a barcode column (such as "code"), a name column (such as "product_name") and a protein column (such as "proteins_100g").');
+    }
+    
+    const cell = (row, field) => (columns[field] >= 0 && row[columns[field]] ? row[columns[field]].trim() : '');
+    const number = (row, field) => {
+      const value = csvData.parseAmount(cell(row, field));
+      return isNaN(value) || value < 0 ? null : value;
+    };
+    
+    const products = new Map();
+    let skipped = 0;
+    
+    rows.slice(1).forEach(row => {
+      const barcode = this.normalizeBarcode(cell(row, 'barcode'));
+      const name = cell(row, 'name');
+      const product = {
+        barcode,
+        name,
+        brand: cell(row, 'brand').split(',')[0].trim(),
+        servingSize: cell(row, 'servingSize'),
+        servingQuantity: number(row, 'servingQuantity'),
+        protein100g: number(row, 'protein100g'),
+        proteinServing: number(row, 'proteinServing'),
+        calories100g: number(row, 'calories100g'),
+        caloriesServing: number(row, 'caloriesServing')
+      };
+      
+      if (!barcode || !name || (product.protein100g === null && product.proteinServing === null)) {
+        skipped++;
+        return;
+      }
+      
+      // Later rows win when a barcode is listed twice
+      products.set(barcode, product);
+    });
+    
+    return { products: Array.from(products.values()), skipped };
+  },
+  
+  /**
+   * Turn a product into a food for the library, with protein and calories per serving.
+   * Products without serving data are described per 100 g.
+   * @param {Object} product - Product from parseProducts()
+   * @returns {Object} Food as { name, serving, protein, calories, barcode }
+   */
+  toFood(product) {
+    const perServing = (servingValue, per100g) => {
+      if (servingValue !== null) return servingValue;
+      if (per100g !== null && product.servingQuantity > 0) return per100g * product.servingQuantity / 100;
+      return null;
+    };
+    
+    let protein = perServing(product.proteinServing, product.protein100g);
+    let calories = perServing(product.caloriesServing, product.calories100g);
+    let serving = product.servingSize || (product.servingQuantity > 0 ? `${product.servingQuantity} g` : '');
+    
+    if (protein === null) {
+      protein = product.protein100g;
+      calories = product.calories100g;
+      serving = '100 g';
+    }
+    
+    return {
+      name: [product.brand, product.name].filter(Boolean).join(' ').slice(0, FOOD_NAME_MAX_LENGTH),
+      serving,
+      protein: Math.round(protein * 10) / 10,
+      calories: calories === null ? null : Math.round(calories),
+      barcode: product.barcode
+    };
+  },
+  
+  /**
+   * Count the products in the food database
+   * @returns {Promise<number>} Number of products
+   */
+  count() {
+    return healthDB.count(DB_STORES.PRODUCTS);
+  },
+  
+  /**
+   * Import a food database file, adding its products to the ones already imported
+   * @param {File} file - CSV or TSV file
+   * @returns {Promise<void>}
+   */
+  async importFile(file) {
+    try {
+      if (file.size > FOOD_DATABASE_MAX_SIZE) {
+        throw new Error('File is too large. Maximum size is 20MB.');
+      }
+      
+      // Exports such as Open Food Facts have hundreds of columns, so only the product columns are kept
+      const names = Object.values(FOOD_DATABASE_COLUMNS).flat();
+      const rows = csvData.parse(await utils.readFile(file), headers => {
+        return headers
+          .map((header, index) => (names.includes(header.trim().toLowerCase()) ? index : -1))
+          .filter(index => index >= 0);
+      });
+      if (rows.length < 2) {
+        throw new Error('The file has no product rows.');
+      }
+      
+      const { products, skipped } = this.parseProducts(rows);
+      if (products.length === 0) {
+        throw new Error(`No products could be read. ${skipped} rows had no valid barcode, name or protein amount.`);
+      }
+      
+      await healthDB.putAll(DB_STORES.PRODUCTS, products);
+      await this.renderStatus();
+      
+      const skippedText = skipped > 0 ? ` ${skipped} rows were skipped.` : '';
+      utils.showToast(`Imported ${products.length} products into your food database.${skippedText}`, skipped > 0 ? 'warning' : 'success', 5000);
+    } catch (error) {
+      utils.showToast(`Error importing food database: ${error.message}`, 'error');
+      console.error('Food database import error:', error);
+    }
+  },
+  
+  /**
+   * Remove every product from the food database. Foods saved in the library are kept.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      await healthDB.clear(DB_STORES.PRODUCTS);
+      await this.renderStatus();
+      utils.showToast('Food database cleared. Your saved foods were kept.', 'warning');
+    } catch (error) {
+      healthDB.reportError(error);
+    }
+  },
+  
+  /**
+   * Find a barcode in the food library, then in the food database
+   * @param {string} barcode - Barcode from normalizeBarcode()
+   * @returns {Promise<Object|null>} { food, saved } where saved is true for library foods, or null if not found
+   */
+  async lookup(barcode) {
+    const saved = foodLibrary.getFoods().find(food => food.barcode === barcode);
+    if (saved) return { food: saved, saved: true };
+    
+    const product = await healthDB.get(DB_STORES.PRODUCTS, barcode);
+    return product ? { food: this.toFood(product), saved: false } : null;
+  },
+  
+  /**
+   * Look up the barcode typed in the food library panel and pre-fill the add-food form
+   * @returns {Promise<void>}
+   */
+  async lookupFromForm() {
+    const input = document.getElementById('food-barcode');
+    const barcode = this.normalizeBarcode(input.value);
+    
+    if (!barcode) {
+      utils.showToast('Please enter the 8, 12, 13 or 14 digits printed under the barcode.', 'error');
+      return;
+    }
+    if (!this.hasValidCheckDigit(barcode)) {
+      utils.showToast('That barcode does not look right. Please check the digits.', 'error');
+      return;
+    }
+    
+    try {
+      const result = await this.lookup(barcode);
+      
+      if (!result) {
+        const message = await this.count() === 0
+          ? 'Import a food database file to look up barcodes.'
+          : `No product with barcode ${barcode} in your food database. You can still add it by hand.`;
+        utils.showToast(message, 'warning');
+        return;
+      }
+      
+      if (result.saved) {
+        document.getElementById('food-search').value = result.food.name;
+        foodLibrary.renderList();
+        utils.showToast(`${result.food.name} is already in your food library.`, 'success');
+        return;
+      }
+      
+      const { food } = result;
+      document.getElementById('food-name').value = food.name;
+      document.getElementById('food-serving').value = food.serving;
+      document.getElementById('food-protein').value = units.toDisplay(food.protein, 'g');
+      document.getElementById('food-calories').value = food.calories === null ? '' : food.calories;
+      input.value = barcode;
+      
+      utils.showToast(`Found ${food.name}. Check the serving, then add it to your library.`, 'success');
+    } catch (error) {
+      healthDB.reportError(error);
+    }
+  },
+  
+  /**
+   * Show how many products the food database holds
+   * @returns {Promise<void>}
+   */
+  async renderStatus() {
+    const status = document.getElementById('food-database-status');
+    if (!status) return;
+    
+    const count = await this.count();
+    status.textContent = count > 0
+      ? `${count} products in your food database.`
+      : 'No food database imported yet. Import a CSV or TSV file such as an Open Food Facts export to look up barcodes offline.';
+    document.getElementById('food-database-clear').disabled = count === 0;
+  },
+  
+  /**
+   * Set up the barcode lookup and the food database import
+   */
+  initialize() {
+    const input = document.getElementById('food-barcode');
+    if (!input) return;
+    
+    document.getElementById('food-barcode-lookup').addEventListener('click', () => this.lookupFromForm());
+    input.addEventListener('keydown', event => {
+      if (event.key === 'Enter') this.lookupFromForm();
+    });
+    
+    document.getElementById('food-database-file').addEventListener('change', event => {
+      const file = event.target.files[0];
+      
+      // Reset the file input so the same file can be picked again
+      event.target.value = '';
+      if (file) this.importFile(file);
+    });
+    
+    document.getElementById('food-database-clear').addEventListener('click', () => {
+      if (confirm('Remove all products from your food database? Foods saved in your library are kept.')) {
+        this.clear();
+      }
+    });
+    
+    document.getElementById('protein-open-foods').addEventListener('click', () => {
+      this.renderStatus().catch(error => console.error('Food database error:', error));
+    });
+  }
+};
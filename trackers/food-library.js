@@ -0,0 +1,275 @@
+/**
+ * Health Tracker App - Food Library
+ * This file contains the foods users keep for protein logging. Picking a food logs its
+ * protein for the chosen number of servings and saves the food name on the entry.
+ */
+
+// Longest food name
+const FOOD_NAME_MAX_LENGTH = 40;
+
+const foodLibrary = {
+  /**
+   * Check stored or imported foods, dropping the ones without a name or protein amount
+   * @param {Array} foods - Foods as { id, name, serving, protein, calories, barcode }
+   * @returns {Array<Object>} Cleaned foods
+   */
+  normalizeFoods(foods) {
+    if (!Array.isArray(foods)) return [];
+    
+    const ids = new Set();
+    
+    return foods
+      .filter(food => food && typeof food === 'object')
+      .map(food => ({
+        id: food.id,
+        name: String(food.name || '').trim().slice(0, FOOD_NAME_MAX_LENGTH),
+        serving: String(food.serving || '').trim(),
+        protein: Math.round(parseFloat(food.protein) * 100) / 100,
+        calories: parseFloat(food.calories) > 0 ? Math.round(parseFloat(food.calories)) : null,
+        barcode: foodDatabase.normalizeBarcode(food.barcode)
+      }))
+      .filter(food => food.name && food.protein > 0)
+      .map(food => {
+        // Foods from older or hand-made files may lack an id
+        if (!food.id || ids.has(food.id)) food.id = this.createId();
+        ids.add(food.id);
+        return food;
+      });
+  },
+  
+  /**
+   * Get the saved foods
+   * @returns {Array<Object>} Foods sorted by name
+   */
+  getFoods() {
+    try {
+      return this.normalizeFoods(JSON.parse(localStorage.getItem(STORAGE_KEYS.FOOD_LIBRARY)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Invalid food library:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Save foods
+   * @param {Array<Object>} foods - Foods to save
+   */
+  saveFoods(foods) {
+    localStorage.setItem(STORAGE_KEYS.FOOD_LIBRARY, JSON.stringify(foods));
+  },
+  
+  /**
+   * Generate an id for a new food
+   * @returns {string} Unique food id
+   */
+  createId() {
+    return `food_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  },
+  
+  /**
+   * Find foods whose name, serving or barcode contains every word of a search
+   * @param {string} query - Search text
+   * @returns {Array<Object>} Matching foods
+   */
+  search(query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    
+    return this.getFoods().filter(food => {
+      const text = `${food.name} ${food.serving} ${food.barcode || ''}`.toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  },
+  
+  /**
+   * Describe a food's serving and nutrients
+   * @param {Object} food - Food
+   * @returns {string} Text such as "1 egg: 6 g protein, 70 kcal"
+   */
+  describe(food) {
+    const parts = [proteinTracker.formatAmount(food.protein) + ' protein'];
+    if (food.calories) parts.push(`${food.calories} kcal`);
+    
+    return `${food.serving || '1 serving'}: ${parts.join(', ')}`;
+  },
+  
+  /**
+   * Log servings of a food as protein intake
+   * @param {Object} food - Food
+   * @param {number} servings - Number of servings eaten
+   */
+  logFood(food, servings) {
+    if (isNaN(servings) || servings <= 0) {
+      utils.showToast('Please enter a positive number of servings.', 'error');
+      return;
+    }
+    
+    const amount = Math.round(food.protein * servings * 100) / 100;
+    proteinTracker.addIntake(amount, { name: food.name, servings });
+    
+    document.getElementById('food-library-panel').classList.remove('active');
+  },
+  
+  /**
+   * Add a food from the form in the food library panel
+   */
+  createFromForm() {
+    const nameInput = document.getElementById('food-name');
+    const servingInput = document.getElementById('food-serving');
+    const proteinInput = document.getElementById('food-protein');
+    const caloriesInput = document.getElementById('food-calories');
+    const barcodeInput = document.getElementById('food-barcode');
+    
+    const name = nameInput.value.trim();
+    const protein = parseFloat(proteinInput.value);
+    const calories = caloriesInput.value.trim() === '' ? null : parseFloat(caloriesInput.value);
+    const barcode = barcodeInput.value.trim() === '' ? null : foodDatabase.normalizeBarcode(barcodeInput.value);
+    
+    if (!name) {
+      utils.showToast('Please enter a food name.', 'error');
+      return;
+    }
+    if (isNaN(protein) || protein <= 0) {
+      utils.showToast('Please enter the protein per serving (a positive number).', 'error');
+      return;
+    }
+    if (calories !== null && (isNaN(calories) || calories <= 0)) {
+      utils.showToast('Calories must be a positive number. Leave them empty to skip them.', 'error');
+      return;
+    }
+    if (barcodeInput.value.trim() !== '' && !barcode) {
+      utils.showToast('The barcode must be 8, 12, 13 or 14 digits. Leave it empty to skip it.', 'error');
+      return;
+    }
+    
+    const foods = this.getFoods();
+    if (foods.some(food => food.name.toLowerCase() === name.toLowerCase())) {
+      utils.showToast(`"${name}" is already in your food library.`, 'error');
+      return;
+    }
+    
+    const sameBarcode = barcode && foods.find(food => food.barcode === barcode);
+    if (sameBarcode) {
+      utils.showToast(`Barcode ${barcode} is already saved for ${sameBarcode.name}.`, 'error');
+      return;
+    }
+    
+    // Protein is typed in the display unit like other protein amounts
+    foods.push(...this.normalizeFoods([{
+      id: this.createId(),
+      name,
+      serving: servingInput.value,
+      protein: proteinTracker.fromDisplay(protein),
+      calories,
+      barcode
+    }]));
+    this.saveFoods(foods);
+    
+    [nameInput, servingInput, proteinInput, caloriesInput, barcodeInput].forEach(input => {
+      input.value = '';
+    });
+    document.getElementById('food-search').value = name;
+    this.renderList();
+    
+    utils.showToast(`${name} added to your food library.`, 'success');
+  },
+  
+  /**
+   * Remove a food from the library. Entries logged from it keep its name.
+   * @param {Object} food - Food
+   */
+  deleteFood(food) {
+    this.saveFoods(this.getFoods().filter(existing => existing.id !== food.id));
+    this.renderList();
+    
+    utils.showToast(`${food.name} removed from your food library.`, 'warning');
+  },
+  
+  /**
+   * List the foods matching the search in the food library panel
+   */
+  renderList() {
+    const list = document.getElementById('food-library-list');
+    list.innerHTML = '';
+    
+    const query = document.getElementById('food-search').value;
+    const foods = this.search(query);
+    
+    if (foods.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'import-preview-note';
+      empty.textContent = query.trim()
+        ? `No foods match "${query.trim()}".`
+        : 'Your food library is empty. Add the foods you eat most below.';
+      list.appendChild(empty);
+      return;
+    }
+    
+    foods.forEach(food => {
+      const row = document.createElement('div');
+      row.className = 'day-entry food-row';
+      
+      const details = document.createElement('div');
+      details.className = 'food-details';
+      
+      const title = document.createElement('p');
+      title.innerHTML = `<b>${utils.escapeHtml(food.name)}</b>`;
+      details.appendChild(title);
+      
+      const nutrients = document.createElement('p');
+      nutrients.textContent = this.describe(food);
+      details.appendChild(nutrients);
+      
+      row.appendChild(details);
+      
+      const servingsInput = document.createElement('input');
+      servingsInput.type = 'number';
+      servingsInput.min = '0';
+      servingsInput.step = 'any';
+      servingsInput.value = '1';
+      servingsInput.setAttribute('aria-label', `Servings of ${food.name}`);
+      row.appendChild(servingsInput);
+      
+      const logBtn = document.createElement('button');
+      logBtn.className = 'icon-btn';
+      logBtn.setAttribute('aria-label', `Log ${food.name}`);
+      logBtn.innerHTML = '<i class="material-icons-round">add</i>';
+      logBtn.addEventListener('click', () => this.logFood(food, parseFloat(servingsInput.value)));
+      row.appendChild(logBtn);
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'icon-btn';
+      deleteBtn.setAttribute('aria-label', `Delete ${food.name}`);
+      deleteBtn.innerHTML = '<i class="material-icons-round">delete</i>';
+      deleteBtn.addEventListener('click', () => {
+        if (confirm(`Remove ${food.name} from your food library? Entries already logged keep its name.`)) {
+          this.deleteFood(food);
+        }
+      });
+      row.appendChild(deleteBtn);
+      
+      list.appendChild(row);
+    });
+  },
+  
+  /**
+   * Set up the food library panel
+   */
+  initialize() {
+    const panel = document.getElementById('food-library-panel');
+    if (!panel) return;
+    
+    document.getElementById('protein-open-foods').addEventListener('click', () => {
+      document.getElementById('food-search').value = '';
+      document.getElementById('food-protein-unit').textContent = units.getDisplayUnit('g');
+      this.renderList();
+      
+      document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
+      panel.classList.add('active');
+      document.getElementById('food-search').focus();
+    });
+    
+    document.getElementById('food-search').addEventListener('input', () => this.renderList());
+    document.getElementById('food-create').addEventListener('click', () => this.createFromForm());
+  }
+};
\ No newline at end of file
@@ -0,0 +1,315 @@
+/**
+ * Health Tracker App - Intake Charts
+ * This file contains the trend charts in the history panel of water and protein: daily totals
+ * against the goal with a rolling average, and the time of day intake is logged at. Charts are
+ * drawn as SVG from the history each tracker already has loaded.
+ */
+
+// Ranges the charts can show, in days
+const INTAKE_CHART_RANGES = [7, 30, 90, 365];
+
+// Range shown until another one is picked
+const INTAKE_CHART_DEFAULT_DAYS = 30;
+
+// Days covered by the rolling average line
+const INTAKE_CHART_AVERAGE_DAYS = 7;
+
+// Size of the charts in SVG units
+const INTAKE_CHART_SIZE = { width: 300, height: 120, padding: 10 };
+
+const intakeCharts = {
+  /**
+   * Get the date keys of the days in a range ending today
+   * @param {number} days - Number of days
+   * @returns {Array<string>} Date keys (YYYY-MM-DD), oldest first
+   */
+  getDates(days) {
+    const [year, month, day] = utils.getTodayKey().split('-').map(Number);
+    return Array.from({ length: days }, (_, i) => utils.formatDate(new Date(year, month - 1, day - days + 1 + i)));
+  },
+  
+  /**
+   * Get the total, goal and rolling average of each day. Days without entries count as
+   * nothing logged, except before the first day anything was logged.
+   * @param {Tracker} tracker - Tracker
+   * @param {Array<string>} dates - Date keys from getDates()
+   * @returns {Array<Object>} Days as { date, total, goal, met, average }, where average is null before the first logged day
+   */
+  getDays(tracker, dates) {
+    const summaries = tracker.getDaySummaries();
+    const firstDate = Object.keys(summaries).sort()[0];
+    const getTotal = date => (summaries[date] ? Math.round(summaries[date].total * 100) / 100 : 0);
+    
+    return dates.map(date => {
+      const total = getTotal(date);
+      const goal = tracker.getGoalForDate(date);
+      let average = null;
+      
+      if (firstDate && date >= firstDate) {
+        const [year, month, day] = date.split('-').map(Number);
+        const totals = [];
+        
+        for (let i = 0; i < INTAKE_CHART_AVERAGE_DAYS; i++) {
+          const previous = utils.formatDate(new Date(year, month - 1, day - i));
+          if (previous >= firstDate) totals.push(getTotal(previous));
+        }
+        average = totals.reduce((sum, value) => sum + value, 0) / totals.length;
+      }
+      
+      return { date, total, goal, met: tracker.isGoalMet(total, goal, date), average };
+    });
+  },
+  
+  /**
+   * Add up the entries of a range by the hour they were logged at, where they were logged
+   * @param {Tracker} tracker - Tracker
+   * @param {Array<string>} dates - Date keys from getDates()
+   * @returns {Array<Object>} 24 hours (midnight first) as { total, count }
+   */
+  getHours(tracker, dates) {
+    const hours = Array.from({ length: 24 }, () => ({ total: 0, count: 0 }));
+    
+    dates.forEach(date => {
+      (tracker.dailyHistory[date] || []).forEach(entry => {
+        const hour = hours[timeZones.getEntryParts(entry).hours];
+        if (!hour) return;
+        
+        hour.total += entry.amount;
+        hour.count += 1;
+      });
+    });
+    
+    return hours;
+  },
+  
+  /**
+   * Format an hour of the day
+   * @param {number} hour - Hour (0-23)
+   * @returns {string} Time such as "07:00"
+   */
+  formatHour(hour) {
+    return `${String(hour).padStart(2, '0')}:00`;
+  },
+  
+  /**
+   * Create an SVG element
+   * @param {string} name - Element name
+   * @param {Object} attributes - Attribute values
+   * @param {string} [title] - Tooltip text
+   * @returns {SVGElement} Element
+   */
+  createElement(name, attributes, title) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    
+    if (title) {
+      const tooltip = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+      tooltip.textContent = title;
+      element.appendChild(tooltip);
+    }
+    
+    return element;
+  },
+  
+  /**
+   * Create a chart with an SVG drawing and a row of labels under it
+   * @param {string} label - Description read by screen readers
+   * @param {Array<string>} labels - Label texts
+   * @returns {Object} { chart, svg } with the chart element and its empty SVG
+   */
+  createChart(label, labels) {
+    const { width, height } = INTAKE_CHART_SIZE;
+    
+    const chart = document.createElement('div');
+    chart.className = 'intake-chart';
+    
+    const svg = this.createElement('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': label });
+    chart.appendChild(svg);
+    
+    const labelRow = document.createElement('div');
+    labelRow.className = 'intake-chart-labels';
+    labels.forEach(text => {
+      const span = document.createElement('span');
+      span.textContent = text;
+      labelRow.appendChild(span);
+    });
+    chart.appendChild(labelRow);
+    
+    return { chart, svg };
+  },
+  
+  /**
+   * Draw the daily totals with the goal and the rolling average
+   * @param {Tracker} tracker - Tracker
+   * @param {Array<Object>} days - Days from getDays()
+   * @returns {HTMLElement} Chart
+   */
+  createDailyChart(tracker, days) {
+    const { width, height, padding } = INTAKE_CHART_SIZE;
+    const max = Math.max(...days.flatMap(day => [day.total, day.goal, day.average || 0])) || 1;
+    const slot = (width - padding * 2) / days.length;
+    const toX = i => padding + i * slot;
+    const toY = value => height - padding - (value / max) * (height - padding * 2);
+    const goalName = tracker.getTodayGoalType() === 'limit' ? 'limit' : 'goal';
+    
+    const { chart, svg } = this.createChart(`Daily ${tracker.label} over the last ${days.length} days`, [
+      `0 - ${tracker.formatAmount(Math.round(max))}`,
+      `Bars: daily total, line: ${INTAKE_CHART_AVERAGE_DAYS}-day average, dashes: ${goalName}`
+    ]);
+    
+    days.forEach((day, i) => {
+      if (day.total <= 0) return;
+      
+      svg.appendChild(this.createElement('rect', {
+        class: `intake-chart-bar${day.met ? ' met' : ''}`,
+        x: (toX(i) + slot * 0.15).toFixed(1),
+        y: toY(day.total).toFixed(1),
+        width: (slot * 0.7).toFixed(2),
+        height: (height - padding - toY(day.total)).toFixed(1)
+      }, `${day.date}: ${tracker.formatAmount(day.total)}`));
+    });
+    
+    // Goals can change from day to day, so the goal line steps at each day
+    if (days.some(day => day.goal > 0)) {
+      svg.appendChild(this.createElement('polyline', {
+        class: 'intake-chart-goal',
+        points: days.map((day, i) => `${toX(i).toFixed(1)},${toY(day.goal).toFixed(1)} ${toX(i + 1).toFixed(1)},${toY(day.goal).toFixed(1)}`).join(' ')
+      }));
+    }
+    
+    const averages = days
+      .map((day, i) => ({ average: day.average, x: toX(i) + slot / 2 }))
+      .filter(point => point.average !== null);
+    
+    if (averages.length > 1) {
+      svg.appendChild(this.createElement('polyline', {
+        class: 'intake-chart-average',
+        points: averages.map(point => `${point.x.toFixed(1)},${toY(point.average).toFixed(1)}`).join(' ')
+      }));
+    }
+    
+    return chart;
+  },
+  
+  /**
+   * Draw how much was logged in each hour of the tracking day
+   * @param {Tracker} tracker - Tracker
+   * @param {Array<Object>} hours - Hours from getHours()
+   * @returns {HTMLElement} Chart
+   */
+  createHourChart(tracker, hours) {
+    const { width, height, padding } = INTAKE_CHART_SIZE;
+    const dayStart = utils.getDayStartHour();
+    const max = Math.max(...hours.map(hour => hour.total)) || 1;
+    const slot = (width - padding * 2) / 24;
+    const toY = value => height - padding - (value / max) * (height - padding * 2);
+    
+    // Hours run from the day-start hour so the chart reads like the tracking day
+    const { chart, svg } = this.createChart(`${tracker.label} by time of day`,
+      [0, 6, 12, 18, 24].map(offset => this.formatHour((dayStart + offset) % 24)));
+    
+    for (let offset = 0; offset < 24; offset++) {
+      const hour = (dayStart + offset) % 24;
+      const { total, count } = hours[hour];
+      if (total <= 0) continue;
+      
+      svg.appendChild(this.createElement('rect', {
+        class: 'intake-chart-bar met',
+        x: (padding + offset * slot + slot * 0.15).toFixed(1),
+        y: toY(total).toFixed(1),
+        width: (slot * 0.7).toFixed(2),
+        height: (height - padding - toY(total)).toFixed(1)
+      }, `${this.formatHour(hour)}-${this.formatHour((hour + 1) % 24)}: ${tracker.formatAmount(Math.round(total))} (${count} ${count === 1 ? 'entry' : 'entries'})`));
+    }
+    
+    return chart;
+  },
+  
+  /**
+   * Describe a range in words
+   * @param {Tracker} tracker - Tracker
+   * @param {Array<Object>} days - Days from getDays()
+   * @returns {string} Text such as "Average 2100 ml a day. Goal met on 5 of 7 days."
+   */
+  describeDays(tracker, days) {
+    const tracked = days.filter(day => day.average !== null);
+    const average = tracked.reduce((sum, day) => sum + day.total, 0) / tracked.length;
+    let text = `Average ${tracker.formatAmount(Math.round(average))} a day.`;
+    
+    const withGoal = tracked.filter(day => day.met !== null);
+    if (withGoal.length > 0) {
+      const met = withGoal.filter(day => day.met).length;
+      text += tracker.getTodayGoalType() === 'limit'
+        ? ` Within limit on ${met} of ${withGoal.length} days.`
+        : ` Goal met on ${met} of ${withGoal.length} days.`;
+    }
+    
+    return text;
+  },
+  
+  /**
+   * Show the charts of a tracker for a range of days
+   * @param {Tracker} tracker - Tracker
+   * @param {HTMLElement} container - Charts tab of the history panel
+   * @param {number} days - Number of days, one of INTAKE_CHART_RANGES
+   */
+  render(tracker, container, days) {
+    container.innerHTML = '';
+    
+    const ranges = document.createElement('div');
+    ranges.className = 'chart-ranges';
+    INTAKE_CHART_RANGES.forEach(range => {
+      const button = document.createElement('button');
+      button.className = `chart-range-btn${range === days ? ' active' : ''}`;
+      button.textContent = range === 365 ? '1 year' : `${range} days`;
+      button.addEventListener('click', () => {
+        tracker.chartDays = range;
+        this.render(tracker, container, range);
+      });
+      ranges.appendChild(button);
+    });
+    container.appendChild(ranges);
+    
+    const dates = this.getDates(days);
+    const dayData = this.getDays(tracker, dates);
+    
+    if (dayData.every(day => day.total <= 0)) {
+      const note = document.createElement('p');
+      note.className = 'intake-chart-note';
+      note.textContent = `No ${tracker.label} logged in the last ${days} days.`;
+      container.appendChild(note);
+      return;
+    }
+    
+    const dailyHeader = document.createElement('h4');
+    dailyHeader.textContent = 'Daily Totals';
+    container.appendChild(dailyHeader);
+    
+    const summary = document.createElement('p');
+    summary.textContent = this.describeDays(tracker, dayData);
+    container.appendChild(summary);
+    container.appendChild(this.createDailyChart(tracker, dayData));
+    
+    const hourHeader = document.createElement('h4');
+    hourHeader.textContent = 'Time of Day';
+    container.appendChild(hourHeader);
+    
+    const hours = this.getHours(tracker, dates);
+    const busiest = hours.reduce((best, hour, i) => (hour.total > hours[best].total ? i : best), 0);
+    
+    if (hours[busiest].total > 0) {
+      const busiestText = document.createElement('p');
+      busiestText.textContent = `Most ${tracker.label} is logged between ${this.formatHour(busiest)} and ${this.formatHour((busiest + 1) % 24)}.`;
+      container.appendChild(busiestText);
+      container.appendChild(this.createHourChart(tracker, hours));
+    }
+    
+    // Archived months keep a total per day but not the time of each entry
+    if (dates.some(date => tracker.archivedDays[date] && !tracker.dailyHistory[date])) {
+      const note = document.createElement('p');
+      note.className = 'intake-chart-note';
+      note.textContent = 'Archived days only count toward the daily totals.';
+      container.appendChild(note);
+    }
+  }
+};
\ No newline at end of file
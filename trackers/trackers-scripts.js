@@ -1,36 +1,85 @@
 /**
  * Health Tracker App - Tracker Class
- * This file contains the Tracker class that handles both water and protein tracking
+ * This file contains the Tracker class that handles water, protein and custom quantity tracking
  */
 
+// Quick-add buttons of trackers that have not been customized
+const DEFAULT_PRESETS = {
+  water: [50, 100, 250, 500],
+  protein: [1, 5, 10, 20]
+};
+
+// Most quick-add buttons a tracker can have
+const TRACKER_MAX_PRESETS = 8;
+
+// Share of a daily limit from which the progress ring shows a warning color
+const LIMIT_WARNING_RATIO = 0.8;
+
+// Waking window offered before pacing is set up
+const DEFAULT_PACING_WINDOW = { start: '07:00', end: '22:00' };
+
+// Distance from the pacing target, as a share of the goal, still shown as on pace
+const PACING_ON_PACE_RATIO = 0.05;
+
+// How often the pacing target moves on while the app is open
+const PACING_UPDATE_INTERVAL = 60 * 1000;
+
+// Weekday goal inputs in display order, as Date.getDay() numbers and labels
+const GOAL_WEEKDAYS = [
+  { day: 1, label: 'Mon' },
+  { day: 2, label: 'Tue' },
+  { day: 3, label: 'Wed' },
+  { day: 4, label: 'Thu' },
+  { day: 5, label: 'Fri' },
+  { day: 6, label: 'Sat' },
+  { day: 0, label: 'Sun' }
+];
+
 /**
- * Main Tracker class for both water and protein tracking
+ * Main Tracker class for water, protein and custom trackers
  */
 class Tracker {
   /**
    * Create a new tracker
    * @param {Object} config - Configuration object
-   * @param {string} config.type - Type of tracker (water or protein)
-   * @param {string} config.unit - Unit of measurement (ml or g)
+   * @param {string} config.type - Type of tracker (water, protein or a custom tracker id)
+   * @param {string} config.unit - Unit amounts are stored in (ml, g...); see units.js for display
+   * @param {string} [config.label] - Name shown to the user (defaults to the type)
+   * @param {string} [config.colorClass] - Button color class (defaults to the type)
+   * @param {Array} [config.presets] - Quick-add buttons used until the user edits them
    */
   constructor(config) {
     // Basic properties
     this.type = config.type;
     this.unit = config.unit;
+    this.label = config.label || config.type;
+    this.colorClass = config.colorClass || config.type;
+    this.defaultPresets = Tracker.normalizePresets(config.presets || DEFAULT_PRESETS[config.type] || []);
     
     // Storage keys
     this.goalKey = `${STORAGE_KEYS.GOAL_PREFIX}${this.type}`;
-    this.intakeKey = `${STORAGE_KEYS.INTAKE_PREFIX}${this.type}`;
-    this.historyKey = `${STORAGE_KEYS.HISTORY_PREFIX}${this.type}`;
+    this.goalHistoryKey = `${STORAGE_KEYS.GOAL_HISTORY_PREFIX}${this.type}`;
     this.lastResetKey = `${STORAGE_KEYS.LAST_RESET_PREFIX}${this.type}`;
+    this.presetsKey = `${STORAGE_KEYS.PRESETS_PREFIX}${this.type}`;
+    this.goalTypeKey = `${STORAGE_KEYS.GOAL_TYPE_PREFIX}${this.type}`;
+    this.pacingKey = `${STORAGE_KEYS.PACING_PREFIX}${this.type}`;
     
-    // Track timeout ID to prevent memory leaks
-    this.midnightResetTimeout = null;
+    // Load settings from localStorage (history is loaded from the database)
+    this.goal = parseFloat(localStorage.getItem(this.goalKey)) || 0;
     
-    // Load data from localStorage
-    this.goal = parseInt(localStorage.getItem(this.goalKey)) || 0;
-    this.totalIntake = parseInt(localStorage.getItem(this.intakeKey)) || 0;
-    this.dailyHistory = JSON.parse(localStorage.getItem(this.historyKey)) || {};
+    // 'target' goals are reached by logging enough, 'limit' goals are maximums to stay under.
+    // This is the type of the next goal set; each goal change records the type it was set with
+    this.goalType = localStorage.getItem(this.goalTypeKey) === 'limit' ? 'limit' : 'target';
+    this.goalHistory = this.loadGoalHistory();
+    this.presets = Tracker.readPresets(this.type) || this.defaultPresets;
+    this.pacing = Tracker.readPacing(this.type);
+    this.chartDays = INTAKE_CHART_DEFAULT_DAYS;
+    this.totalIntake = 0;
+    this.dailyHistory = {};
+    this.archivedDays = {};
+    
+    // New entries only get their id once saved, so edits wait for the save
+    this.pendingSaves = new WeakMap();
     
     // DOM elements
     this.elements = {
@@ -38,16 +87,244 @@ class Tracker {
       remaining: document.getElementById(`${this.type}-remaining`),
       goalDisplay: document.getElementById(`${this.type}-goal-display`),
       progressCircle: document.getElementById(`${this.type}-progress-circle`),
+      paceMarker: document.getElementById(`${this.type}-pace-marker`),
+      pace: document.getElementById(`${this.type}-pace`),
+      paceStatus: document.getElementById(`${this.type}-pace-status`),
+      pacingEnabled: document.getElementById(`${this.type}-pacing-enabled`),
+      pacingStart: document.getElementById(`${this.type}-pacing-start`),
+      pacingEnd: document.getElementById(`${this.type}-pacing-end`),
       goalInput: document.getElementById(`${this.type}-goal`),
+      goalTypeInput: document.getElementById(`${this.type}-goal-type`),
+      weekdayGoals: document.getElementById(`${this.type}-weekday-goals`),
+      goalFromInput: document.getElementById(`${this.type}-goal-from`),
+      goalUntilInput: document.getElementById(`${this.type}-goal-until`),
+      scheduledGoals: document.getElementById(`${this.type}-scheduled-goals`),
       manualInput: document.getElementById(`${this.type}-manual`),
+      quickAdd: document.getElementById(`${this.type}-quick-add`),
+      presetEditor: document.getElementById(`${this.type}-preset-editor`),
+      logTime: document.getElementById(`${this.type}-log-time`),
+      logDateInput: document.getElementById(`${this.type}-log-date`),
+      logClockInput: document.getElementById(`${this.type}-log-clock`),
       settingsPanel: document.getElementById(`${this.type}-settings-section`),
       historyPanel: document.getElementById(`${this.type}-history-popup`),
       dailyHistoryTab: document.getElementById(`${this.type}-daily-history`),
-      currentIntakeTab: document.getElementById(`${this.type}-current-intake`)
+      currentIntakeTab: document.getElementById(`${this.type}-current-intake`),
+      chartsTab: document.getElementById(`${this.type}-charts`)
     };
     
-    // Initialize tracker
-    this.initializeTracker();
+    // Load history, then initialize tracker
+    this.ready = this.loadHistory()
+      .catch(error => healthDB.reportError(error))
+      .then(() => this.initializeTracker());
+  }
+  
+  /**
+   * Clean up a list of quick-add buttons
+   * @param {Array<number|Object>} presets - Amounts or { amount, label } objects
+   * @returns {Array<Object>} Buttons as { amount, label } with positive amounts
+   */
+  static normalizePresets(presets) {
+    return presets
+      .map(preset => typeof preset === 'object' && preset !== null
+        ? { amount: parseFloat(preset.amount), label: String(preset.label || '').trim() }
+        : { amount: parseFloat(preset), label: '' })
+      .filter(preset => preset.amount > 0)
+      .slice(0, TRACKER_MAX_PRESETS);
+  }
+  
+  /**
+   * Read the saved quick-add buttons of a tracker
+   * @param {string} type - Tracker type
+   * @returns {Array<Object>|null} Buttons as { amount, label }, or null if never edited
+   */
+  static readPresets(type) {
+    try {
+      const presets = JSON.parse(localStorage.getItem(STORAGE_KEYS.PRESETS_PREFIX + type));
+      return Array.isArray(presets) ? Tracker.normalizePresets(presets) : null;
+    } catch (error) {
+      console.error(`Invalid ${type} quick-add buttons:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Clean up a pacing setting
+   * @param {Object} pacing - Pacing as { enabled, start, end } with times as "HH:MM"
+   * @returns {Object|null} Pacing, or null if a time is missing or invalid
+   */
+  static normalizePacing(pacing) {
+    if (!pacing || typeof pacing !== 'object') return null;
+    
+    const isTime = value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    if (!isTime(pacing.start) || !isTime(pacing.end)) return null;
+    
+    return { enabled: pacing.enabled === true, start: pacing.start, end: pacing.end };
+  }
+  
+  /**
+   * Read the saved pacing setting of a tracker
+   * @param {string} type - Tracker type
+   * @returns {Object|null} Pacing as { enabled, start, end }, or null if never set up
+   */
+  static readPacing(type) {
+    try {
+      return Tracker.normalizePacing(JSON.parse(localStorage.getItem(STORAGE_KEYS.PACING_PREFIX + type)));
+    } catch (error) {
+      console.error(`Invalid ${type} pacing:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Get how far a time of day is into the tracking day
+   * @param {string} time - Time as "HH:MM"
+   * @returns {number} Minutes since the day-start hour
+   */
+  static getDayMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return (hours * 60 + minutes - utils.getDayStartHour() * 60 + 1440) % 1440;
+  }
+  
+  /**
+   * Load intake history and archived monthly summaries from the database
+   * @returns {Promise<void>}
+   */
+  async loadHistory() {
+    const [records, archives] = await Promise.all([
+      healthDB.getAllByIndex(DB_STORES.INTAKE, 'tracker', this.type),
+      healthDB.getAllByIndex(DB_STORES.ARCHIVES, 'kind', 'intake')
+    ]);
+    
+    this.dailyHistory = healthDB.toIntakeHistory(records, true);
+    this.archivedDays = historyArchive.getIntakeDays(archives.filter(record => record.tracker === this.type));
+    this.recalculateTotalIntake();
+  }
+  
+  /**
+   * Load the dated goal timeline, starting it from the current goal if there is none yet
+   * @returns {Array<Object>} Goal changes as { date, goal, goalType, weekdays, until }, sorted by date
+   */
+  loadGoalHistory() {
+    let goalHistory = [];
+    
+    try {
+      goalHistory = JSON.parse(localStorage.getItem(this.goalHistoryKey)) || [];
+    } catch (error) {
+      console.error(`Invalid ${this.type} goal history:`, error);
+    }
+    
+    if (goalHistory.length === 0 && this.goal > 0) {
+      goalHistory = [{ date: utils.getTodayKey(), goal: this.goal, goalType: this.goalType }];
+      localStorage.setItem(this.goalHistoryKey, JSON.stringify(goalHistory));
+    }
+    
+    return goalHistory;
+  }
+  
+  /**
+   * Get the goal that was in effect on a day
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {number} Goal for that day
+   */
+  getGoalForDate(date) {
+    return utils.getGoalForDate(this.goalHistory, date) || this.goal;
+  }
+  
+  /**
+   * Get today's goal, which may differ by day of the week
+   * @returns {number} Goal for today
+   */
+  getTodayGoal() {
+    return this.getGoalForDate(utils.getTodayKey());
+  }
+  
+  /**
+   * Get whether the goal in effect on a day was a target or a limit
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {string} 'target' or 'limit'
+   */
+  getGoalTypeForDate(date) {
+    return utils.getGoalTypeForDate(this.goalHistory, date) || this.goalType;
+  }
+  
+  /**
+   * Get whether today's goal is a target or a limit
+   * @returns {string} 'target' or 'limit'
+   */
+  getTodayGoalType() {
+    return this.getGoalTypeForDate(utils.getTodayKey());
+  }
+  
+  /**
+   * Get the weekday goals currently in effect
+   * @returns {Array<number|null>|null} Goal per day of the week (Sunday first), or null if every day is the same
+   */
+  getWeekdayGoals() {
+    const current = utils.getGoalChange(this.goalHistory, utils.getTodayKey());
+    return current && Array.isArray(current.weekdays) ? current.weekdays : null;
+  }
+  
+  /**
+   * Get the goal changes that are still to come: changes starting after today and
+   * scheduled goals whose last day has not passed
+   * @returns {Array<Object>} Goal changes, sorted by date
+   */
+  getScheduledGoals() {
+    const currentDate = utils.getTodayKey();
+    return this.goalHistory.filter(change => change.date > currentDate || (change.until && change.until >= currentDate));
+  }
+  
+  /**
+   * Check whether a day's total meets its goal
+   * @param {number} total - Total amount of the day
+   * @param {number} goal - Goal of the day
+   * @param {string} date - Date key of the day, for the type of goal in effect then
+   * @returns {boolean|null} True if met, false if missed, null without a goal
+   */
+  isGoalMet(total, goal, date) {
+    if (!(goal > 0)) return null;
+    return this.getGoalTypeForDate(date) === 'limit' ? total <= goal : total >= goal;
+  }
+  
+  /**
+   * Get the total intake of a day
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {number} Total amount
+   */
+  getDayTotal(date) {
+    const total = (this.dailyHistory[date] || []).reduce((sum, entry) => sum + entry.amount, 0);
+    
+    // Custom trackers allow decimal amounts, so avoid floating point noise
+    return Math.round(total * 100) / 100;
+  }
+  
+  /**
+   * Recalculate today's intake from the entries in the daily history
+   */
+  recalculateTotalIntake() {
+    this.totalIntake = this.getDayTotal(utils.getTodayKey());
+  }
+  
+  /**
+   * Get the total and entry count of every day, including archived months
+   * @returns {Object} { 'YYYY-MM-DD': { total, count } }
+   */
+  getDaySummaries() {
+    const summaries = {};
+    
+    Object.entries(this.archivedDays).forEach(([date, summary]) => {
+      summaries[date] = { total: summary.total, count: summary.count };
+    });
+    
+    Object.entries(this.dailyHistory).forEach(([date, entries]) => {
+      const summary = summaries[date] || (summaries[date] = { total: 0, count: 0 });
+      entries.forEach(entry => {
+        summary.total += entry.amount;
+        summary.count += 1;
+      });
+    });
+    
+    return summaries;
   }
   
   /**
@@ -62,13 +339,97 @@ class Tracker {
     }
     
     // Update display
+    this.renderUnitLabels();
+    this.renderGoalType();
+    this.renderWeekdayGoals();
+    this.renderScheduledGoals();
+    this.renderPacing();
     this.updateDisplay();
+    this.renderQuickAdd();
+    this.renderPresetEditor();
     
-    // Check for daily reset
+    // The pacing target moves on with the clock, not only when intake changes
+    if (this.elements.pace || this.elements.paceMarker) {
+      setInterval(() => this.updatePacing(), PACING_UPDATE_INTERVAL);
+    }
+    
+    // Check for daily reset, now and whenever the day changes
     this.checkAndResetDailyIntake();
+    window.addEventListener(DAY_CHANGE_EVENT, () => this.checkAndResetDailyIntake());
+  }
+  
+  /**
+   * Convert a stored amount to the selected display unit
+   * @param {number} amount - Amount in the stored unit
+   * @returns {number} Amount in the display unit
+   */
+  toDisplay(amount) {
+    return units.toDisplay(amount, this.unit);
+  }
+  
+  /**
+   * Convert an amount entered in the display unit to the stored unit
+   * @param {number} amount - Amount in the display unit
+   * @returns {number} Amount in the stored unit
+   */
+  fromDisplay(amount) {
+    return units.fromDisplay(amount, this.unit);
+  }
+  
+  /**
+   * Format a stored amount with the display unit
+   * @param {number} amount - Amount in the stored unit
+   * @returns {string} Text such as "250 ml"
+   */
+  formatAmount(amount) {
+    return units.format(amount, this.unit);
+  }
+  
+  /**
+   * Show the display unit next to amounts and in the goal input
+   */
+  renderUnitLabels() {
+    const displayUnit = units.getDisplayUnit(this.unit);
+    const section = document.getElementById(`${this.type}-app`);
     
-    // Set up auto-reset at midnight
-    this.setupMidnightReset();
+    if (section) {
+      section.querySelectorAll('.unit-label').forEach(label => {
+        label.textContent = displayUnit;
+      });
+    }
+    if (this.elements.goalInput) {
+      this.elements.goalInput.placeholder = `Enter goal in ${displayUnit}`;
+    }
+  }
+  
+  /**
+   * Show whether today's goal is a target or a limit
+   */
+  renderGoalType() {
+    const section = document.getElementById(`${this.type}-app`);
+    
+    if (section) {
+      const isLimit = this.getTodayGoalType() === 'limit';
+      section.querySelectorAll('.goal-type-label').forEach(label => {
+        label.textContent = isLimit ? 'Daily Limit' : 'Daily Goal';
+      });
+    }
+    if (this.elements.goalTypeInput) {
+      this.elements.goalTypeInput.value = this.goalType;
+    }
+  }
+  
+  /**
+   * Redraw every amount after the unit system changed
+   */
+  refreshUnits() {
+    this.renderUnitLabels();
+    this.renderWeekdayGoals();
+    this.renderScheduledGoals();
+    this.updateDisplay();
+    this.renderQuickAdd();
+    this.renderPresetEditor();
+    this.refreshHistory(true);
   }
   
   /**
@@ -77,25 +438,25 @@ class Tracker {
   updateDisplay() {
     // Update total
     if (this.elements.total) {
-      this.elements.total.textContent = this.totalIntake;
+      this.elements.total.textContent = this.toDisplay(this.totalIntake);
     }
     
+    const goal = this.getTodayGoal();
+    
     // Update goal display
     if (this.elements.goalDisplay) {
-      this.elements.goalDisplay.textContent = this.goal;
+      this.elements.goalDisplay.textContent = this.toDisplay(goal);
     }
     
     // Update remaining
     if (this.elements.remaining) {
-      const remaining = this.goal > this.totalIntake ? this.goal - this.totalIntake : 0;
-      this.elements.remaining.textContent = remaining;
+      const remaining = goal > this.totalIntake ? goal - this.totalIntake : 0;
+      this.elements.remaining.textContent = this.toDisplay(remaining);
     }
     
     // Update progress visualization
     this.updateProgressVisualization();
-    
-    // Save to localStorage
-    localStorage.setItem(this.intakeKey, this.totalIntake);
+    this.updatePacing();
   }
 
   /**
@@ -105,7 +466,8 @@ class Tracker {
     if (!this.elements.progressCircle) return;
     
     // Calculate progress percentage
-    let progress = this.goal > 0 ? (this.totalIntake / this.goal) * 100 : 0;
+    const goal = this.getTodayGoal();
+    let progress = goal > 0 ? (this.totalIntake / goal) * 100 : 0;
     progress = Math.min(progress, 100); // Cap at 100%
     
     // Calculate circle values
@@ -114,52 +476,554 @@ class Tracker {
     
     // Update circle
     this.elements.progressCircle.style.strokeDashoffset = offset;
+    
+    // Limits change color as the total gets close to them and once it is over
+    const ratio = goal > 0 ? this.totalIntake / goal : 0;
+    const isLimit = this.getTodayGoalType() === 'limit';
+    this.elements.progressCircle.classList.toggle('near-limit', isLimit && ratio >= LIMIT_WARNING_RATIO && ratio <= 1);
+    this.elements.progressCircle.classList.toggle('over-limit', isLimit && ratio > 1);
   }
   
   /**
-   * Set the daily goal
+   * Work out how much should be logged by now to spread the goal evenly over the waking window
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Object|null} { amount, ratio } where ratio is the share of the window passed,
+   *   or null if pacing is off, there is no goal, or the goal is a limit
+   */
+  getPacingTarget(now = new Date()) {
+    const goal = this.getTodayGoal();
+    if (!this.pacing || !this.pacing.enabled || this.getTodayGoalType() === 'limit' || goal <= 0) return null;
+    
+    const start = Tracker.getDayMinutes(this.pacing.start);
+    const end = Tracker.getDayMinutes(this.pacing.end);
+    
+    // A later day-start hour can leave the window split across two days
+    if (end <= start) return null;
+    
+    // toTimeString() starts with the 24-hour "HH:MM" of the tracking clock
+    const current = Tracker.getDayMinutes(utils.getTrackingDate(now).toTimeString().slice(0, 5));
+    const ratio = Math.min(Math.max((current - start) / (end - start), 0), 1);
+    
+    return { amount: goal * ratio, ratio };
+  }
+  
+  /**
+   * Show how far ahead or behind the pacing target today's total is, and mark the target on the progress ring
+   */
+  updatePacing() {
+    const target = this.getPacingTarget();
+    
+    if (this.elements.paceMarker) {
+      this.elements.paceMarker.classList.toggle('active', target !== null);
+      if (target) {
+        this.elements.paceMarker.setAttribute('transform', `rotate(${target.ratio * 360} 50 50)`);
+      }
+    }
+    
+    if (!this.elements.pace) return;
+    
+    this.elements.pace.hidden = target === null;
+    if (!target) return;
+    
+    const difference = this.totalIntake - target.amount;
+    const onPace = Math.abs(difference) <= this.getTodayGoal() * PACING_ON_PACE_RATIO;
+    
+    this.elements.paceStatus.textContent = onPace
+      ? 'On pace'
+      : `${difference > 0 ? 'Ahead' : 'Behind'} by ${this.formatAmount(Math.round(Math.abs(difference)))}`;
+    this.elements.paceStatus.classList.toggle('ahead', !onPace && difference > 0);
+    this.elements.paceStatus.classList.toggle('behind', !onPace && difference < 0);
+  }
+  
+  /**
+   * Fill the pacing inputs in the settings panel
+   */
+  renderPacing() {
+    if (!this.elements.pacingEnabled) return;
+    
+    const pacing = this.pacing || { enabled: false, ...DEFAULT_PACING_WINDOW };
+    this.elements.pacingEnabled.checked = pacing.enabled;
+    this.elements.pacingStart.value = pacing.start;
+    this.elements.pacingEnd.value = pacing.end;
+  }
+  
+  /**
+   * Save the pacing inputs in the settings panel
+   */
+  savePacing() {
+    const pacing = Tracker.normalizePacing({
+      enabled: this.elements.pacingEnabled.checked,
+      start: this.elements.pacingStart.value,
+      end: this.elements.pacingEnd.value
+    });
+    
+    if (!pacing) {
+      utils.showToast('Please enter when your waking window starts and ends.', 'error');
+      return;
+    }
+    if (Tracker.getDayMinutes(pacing.end) <= Tracker.getDayMinutes(pacing.start)) {
+      utils.showToast(`The waking window must end after it starts, within a day that starts at ${utils.formatDayStart(utils.getDayStartHour())}.`, 'error');
+      return;
+    }
+    
+    this.pacing = pacing;
+    localStorage.setItem(this.pacingKey, JSON.stringify(pacing));
+    this.updatePacing();
+    
+    utils.showToast(pacing.enabled
+      ? `${this.label.charAt(0).toUpperCase() + this.label.slice(1)} pacing on from ${pacing.start} to ${pacing.end}`
+      : `${this.label.charAt(0).toUpperCase() + this.label.slice(1)} pacing off`, 'success');
+  }
+  
+  /**
+   * Warn when a change pushed a day over its limit
+   * @param {string} date - Date key of the changed day
+   * @param {number} previousTotal - Total of the day before the change
+   */
+  checkLimit(date, previousTotal) {
+    if (this.getGoalTypeForDate(date) !== 'limit') return;
+    
+    const limit = this.getGoalForDate(date);
+    const total = this.getDayTotal(date);
+    
+    if (limit > 0 && previousTotal <= limit && total > limit) {
+      const day = date === utils.getTodayKey() ? 'today' : `on ${date}`;
+      utils.showToast(`${this.label.charAt(0).toUpperCase() + this.label.slice(1)} is over your daily limit of ${this.formatAmount(limit)} ${day}.`, 'warning', 5000);
+    }
+  }
+  
+  /**
+   * Fill the weekday goal inputs in the settings panel
+   */
+  renderWeekdayGoals() {
+    const container = this.elements.weekdayGoals;
+    if (!container) return;
+    
+    const weekdays = this.getWeekdayGoals() || [];
+    container.innerHTML = '';
+    
+    GOAL_WEEKDAYS.forEach(({ day, label }) => {
+      const field = document.createElement('label');
+      field.className = 'weekday-goal';
+      
+      const name = document.createElement('span');
+      name.textContent = label;
+      field.appendChild(name);
+      
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = 'any';
+      input.placeholder = 'Default';
+      input.dataset.weekday = day;
+      input.value = weekdays[day] > 0 ? this.toDisplay(weekdays[day]) : '';
+      
+      // Keep the stored goal of untouched days instead of converting a rounded value back
+      input.dataset.amount = weekdays[day] > 0 ? weekdays[day] : '';
+      input.dataset.displayAmount = input.value;
+      field.appendChild(input);
+      
+      container.appendChild(field);
+    });
+  }
+  
+  /**
+   * Read the weekday goal inputs
+   * @returns {Array<number|null>|null|false} Goal per day of the week (Sunday first),
+   *   null if none is set, or false if one is invalid
+   */
+  readWeekdayGoals() {
+    if (!this.elements.weekdayGoals) return null;
+    
+    const weekdays = [null, null, null, null, null, null, null];
+    
+    for (const input of this.elements.weekdayGoals.querySelectorAll('input[data-weekday]')) {
+      if (input.value === '') continue;
+      
+      const value = parseFloat(input.value);
+      if (isNaN(value) || value <= 0) return false;
+      
+      const unchanged = input.dataset.amount !== '' && input.value === input.dataset.displayAmount;
+      weekdays[Number(input.dataset.weekday)] = unchanged ? parseFloat(input.dataset.amount) : this.fromDisplay(value);
+    }
+    
+    return weekdays.some(goal => goal !== null) ? weekdays : null;
+  }
+  
+  /**
+   * Describe when a goal change applies
+   * @param {Object} change - Goal change with date and optional until
+   * @returns {string} Text such as "From 2024-06-01" or "2024-06-01 to 2024-06-14"
+   */
+  getGoalChangeDates(change) {
+    return change.until ? `${change.date} to ${change.until}` : `From ${change.date}`;
+  }
+  
+  /**
+   * Show the upcoming goal changes in the settings panel and reset the schedule inputs
+   */
+  renderScheduledGoals() {
+    const currentDate = utils.getTodayKey();
+    
+    [this.elements.goalFromInput, this.elements.goalUntilInput].forEach(input => {
+      if (!input) return;
+      input.value = '';
+      input.min = currentDate;
+    });
+    
+    const list = this.elements.scheduledGoals;
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    this.getScheduledGoals().forEach(change => {
+      const item = document.createElement('li');
+      item.className = 'intake-entry';
+      
+      const varies = Array.isArray(change.weekdays) ? ', varies by weekday' : '';
+      const text = document.createElement('span');
+      text.textContent = `${this.getGoalChangeDates(change)}: ${this.formatAmount(change.goal)}${varies}`;
+      item.appendChild(text);
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'icon-btn';
+      deleteBtn.setAttribute('aria-label', 'Cancel goal change');
+      deleteBtn.innerHTML = '<i class="material-icons-round">delete</i>';
+      deleteBtn.addEventListener('click', () => {
+        if (confirm(`Cancel the goal of ${this.formatAmount(change.goal)} (${this.getGoalChangeDates(change)})?`)) {
+          this.cancelGoalChange(change);
+        }
+      });
+      item.appendChild(deleteBtn);
+      
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * Read the schedule inputs of the settings panel
+   * @returns {Object|null|false} { from, until } with date keys (until may be null),
+   *   null to change the goal from today, or false if the dates are invalid
+   */
+  readGoalSchedule() {
+    const from = this.elements.goalFromInput ? this.elements.goalFromInput.value : '';
+    const until = this.elements.goalUntilInput ? this.elements.goalUntilInput.value : '';
+    if (!from && !until) return null;
+    
+    const currentDate = utils.getTodayKey();
+    const start = from || currentDate;
+    
+    if (start < currentDate || (until && until < start)) return false;
+    
+    return { from: start, until: until || null };
+  }
+  
+  /**
+   * Remove a goal change that has not started yet. A scheduled goal that already
+   * started ends yesterday instead, so the days it applied to keep their goal.
+   * @param {Object} change - Goal change from getScheduledGoals()
+   */
+  cancelGoalChange(change) {
+    const [year, month, day] = utils.getTodayKey().split('-').map(Number);
+    const yesterday = utils.formatDate(new Date(year, month - 1, day - 1));
+    const dates = this.getGoalChangeDates(change);
+    
+    if (change.date <= yesterday) {
+      change.until = yesterday;
+    } else {
+      this.goalHistory = this.goalHistory.filter(entry => entry !== change);
+    }
+    localStorage.setItem(this.goalHistoryKey, JSON.stringify(this.goalHistory));
+    
+    this.renderWeekdayGoals();
+    this.renderScheduledGoals();
+    this.updateDisplay();
+    this.refreshHistory();
+    
+    utils.showToast(`Goal change cancelled (${dates}).`, 'warning');
+  }
+  
+  /**
+   * Set the daily goal and the goals of weekdays that differ from it
    */
   setGoal() {
-    const inputGoal = parseInt(this.elements.goalInput.value);
+    const inputGoal = parseFloat(this.elements.goalInput.value);
     
     if (isNaN(inputGoal) || inputGoal <= 0) {
       utils.showToast('Please enter a valid goal (a positive number).', 'error');
       return;
     }
     
-    this.goal = inputGoal;
-    localStorage.setItem(this.goalKey, this.goal);
-    this.updateDisplay();
+    const weekdays = this.readWeekdayGoals();
+    if (weekdays === false) {
+      utils.showToast('Weekday goals must be positive numbers. Leave a day empty to use the daily goal.', 'error');
+      return;
+    }
+    
+    const schedule = this.readGoalSchedule();
+    if (schedule === false) {
+      utils.showToast('A scheduled goal must start today or later and end on or after its first day.', 'error');
+      return;
+    }
     
-    utils.showToast(`${this.type.charAt(0).toUpperCase() + this.type.slice(1)} goal set to ${this.goal} ${this.unit}`, 'success');
+    if (this.elements.goalTypeInput) {
+      this.goalType = this.elements.goalTypeInput.value === 'limit' ? 'limit' : 'target';
+      localStorage.setItem(this.goalTypeKey, this.goalType);
+      this.renderGoalType();
+    }
+    
+    this.saveGoal(this.fromDisplay(inputGoal), weekdays, schedule);
     
     // Close the settings panel
     this.elements.settingsPanel.classList.remove('active');
   }
   
   /**
-   * Add intake amount
+   * Save a new daily goal from today, or schedule it for later days
+   * @param {number} goal - Daily goal in the canonical unit
+   * @param {Array<number|null>|null} weekdays - Goals of weekdays that differ from it, or null
+   * @param {Object|null} [schedule] - { from, until } date keys of the first and, optionally, last day
+   *   the goal applies to; without it the goal applies from today on
+   */
+  saveGoal(goal, weekdays, schedule = null) {
+    const currentDate = utils.getTodayKey();
+    const from = schedule ? schedule.from : currentDate;
+    const until = schedule ? schedule.until : null;
+    const fromToday = from === currentDate && !until;
+    
+    // A scheduled goal leaves the current goal as it is
+    if (fromToday) {
+      this.goal = goal;
+      localStorage.setItem(this.goalKey, this.goal);
+    }
+    
+    const change = { date: from, goal, goalType: this.goalType };
+    if (weekdays) change.weekdays = weekdays;
+    if (until) change.until = until;
+    
+    // Record the change from its first day so earlier days keep the goal they had. A goal for
+    // a range wins over one that stays while it lasts, even if that one starts within the range.
+    this.goalHistory = this.goalHistory.filter(entry => entry.date !== from || !entry.until !== !until);
+    this.goalHistory.push(change);
+    this.goalHistory.sort((a, b) => a.date.localeCompare(b.date) || Boolean(a.until) - Boolean(b.until));
+    localStorage.setItem(this.goalHistoryKey, JSON.stringify(this.goalHistory));
+    
+    this.renderWeekdayGoals();
+    this.renderScheduledGoals();
+    this.updateDisplay();
+    this.refreshHistory();
+    
+    const name = `${this.label.charAt(0).toUpperCase() + this.label.slice(1)} ${this.goalType === 'limit' ? 'limit' : 'goal'}`;
+    const varies = weekdays ? ', with different goals on some weekdays' : '';
+    
+    if (fromToday) {
+      utils.showToast(`${name} set to ${this.formatAmount(goal)}${varies}`, 'success');
+    } else {
+      utils.showToast(`${name} of ${this.formatAmount(goal)} scheduled (${this.getGoalChangeDates(change)})${varies}`, 'success');
+    }
+  }
+  
+  /**
+   * Get the text of a quick-add button
+   * @param {Object} preset - Button as { amount, label }
+   * @returns {string} Label, or the amount with its unit
+   */
+  getPresetText(preset) {
+    return preset.label || `+${this.formatAmount(preset.amount)}`;
+  }
+  
+  /**
+   * Show the quick-add buttons
+   */
+  renderQuickAdd() {
+    if (!this.elements.quickAdd) return;
+    
+    this.elements.quickAdd.innerHTML = '';
+    this.elements.quickAdd.style.display = this.presets.length === 0 ? 'none' : '';
+    
+    this.presets.forEach(preset => {
+      const button = document.createElement('button');
+      button.className = `action-btn ${this.colorClass}`;
+      button.dataset.action = `${this.type}-add`;
+      button.dataset.amount = preset.amount;
+      button.textContent = this.getPresetText(preset);
+      if (preset.label) button.title = this.formatAmount(preset.amount);
+      this.elements.quickAdd.appendChild(button);
+    });
+  }
+  
+  /**
+   * Fill the quick-add editor in the settings panel with the saved buttons
+   */
+  renderPresetEditor() {
+    if (!this.elements.presetEditor) return;
+    
+    this.elements.presetEditor.innerHTML = '';
+    this.presets.forEach(preset => this.addPresetRow(preset));
+  }
+  
+  /**
+   * Add a row to the quick-add editor
+   * @param {Object} [preset] - Button to edit as { amount, label }
+   */
+  addPresetRow(preset = { amount: '', label: '' }) {
+    const editor = this.elements.presetEditor;
+    
+    if (editor.children.length >= TRACKER_MAX_PRESETS) {
+      utils.showToast(`You can have up to ${TRACKER_MAX_PRESETS} quick-add buttons.`, 'warning');
+      return;
+    }
+    
+    const row = document.createElement('div');
+    row.className = 'preset-row';
+    
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'preset-label';
+    labelInput.placeholder = 'Label (optional)';
+    labelInput.maxLength = 20;
+    labelInput.value = preset.label;
+    row.appendChild(labelInput);
+    
+    const amountInput = document.createElement('input');
+    amountInput.type = 'number';
+    amountInput.className = 'preset-amount';
+    amountInput.placeholder = units.getDisplayUnit(this.unit);
+    amountInput.min = '0';
+    amountInput.step = 'any';
+    amountInput.value = preset.amount === '' ? '' : this.toDisplay(preset.amount);
+    amountInput.setAttribute('aria-label', `Amount (${units.getDisplayUnit(this.unit)})`);
+    row.appendChild(amountInput);
+    
+    // Keep the stored amount of untouched buttons instead of converting a rounded value back
+    row.dataset.amount = preset.amount;
+    row.dataset.displayAmount = amountInput.value;
+    
+    const buttons = [
+      { icon: 'arrow_upward', label: 'Move up', onClick: () => row.previousElementSibling && editor.insertBefore(row, row.previousElementSibling) },
+      { icon: 'arrow_downward', label: 'Move down', onClick: () => row.nextElementSibling && editor.insertBefore(row.nextElementSibling, row) },
+      { icon: 'delete', label: 'Remove button', onClick: () => row.remove() }
+    ];
+    
+    buttons.forEach(({ icon, label, onClick }) => {
+      const button = document.createElement('button');
+      button.className = 'icon-btn';
+      button.setAttribute('aria-label', label);
+      button.innerHTML = `<i class="material-icons-round">${icon}</i>`;
+      button.addEventListener('click', onClick);
+      row.appendChild(button);
+    });
+    
+    editor.appendChild(row);
+  }
+  
+  /**
+   * Save the buttons in the quick-add editor
+   */
+  savePresets() {
+    const presets = [];
+    
+    for (const row of this.elements.presetEditor.querySelectorAll('.preset-row')) {
+      const label = row.querySelector('.preset-label').value.trim();
+      const amountValue = row.querySelector('.preset-amount').value;
+      
+      // Rows left completely empty are dropped
+      if (!label && amountValue === '') continue;
+      
+      const amount = parseFloat(amountValue);
+      if (isNaN(amount) || amount <= 0) {
+        utils.showToast('Every quick-add button needs a positive amount.', 'error');
+        return;
+      }
+      
+      const unchanged = row.dataset.amount !== '' && amountValue === row.dataset.displayAmount;
+      presets.push({ amount: unchanged ? parseFloat(row.dataset.amount) : this.fromDisplay(amount), label });
+    }
+    
+    this.presets = presets;
+    localStorage.setItem(this.presetsKey, JSON.stringify(presets));
+    
+    this.renderQuickAdd();
+    this.renderPresetEditor();
+    
+    utils.showToast(`${this.label.charAt(0).toUpperCase() + this.label.slice(1)} quick-add buttons saved`, 'success');
+  }
+  
+  /**
+   * Get the time picked for backdated logging
+   * @returns {Date|null} Picked time (now if nothing is picked), or null if it is invalid
+   */
+  getLogTime() {
+    const now = new Date();
+    const dateValue = this.elements.logDateInput ? this.elements.logDateInput.value : '';
+    const clockValue = this.elements.logClockInput ? this.elements.logClockInput.value : '';
+    
+    if (!dateValue && !clockValue) return now;
+    
+    // A missing date means today and a missing time keeps the current time of day
+    const [hours, minutes] = clockValue
+      ? clockValue.split(':').map(Number)
+      : [now.getHours(), now.getMinutes()];
+    const loggedAt = utils.getTimeOnDay(dateValue || utils.getTodayKey(), hours, minutes);
+    
+    if (isNaN(loggedAt.getTime())) {
+      utils.showToast('Please enter a valid date and time.', 'error');
+      return null;
+    }
+    if (loggedAt > now) {
+      utils.showToast('Entries cannot be logged in the future.', 'error');
+      return null;
+    }
+    
+    return loggedAt;
+  }
+  
+  /**
+   * Clear the backdated logging inputs
+   */
+  clearLogTime() {
+    if (this.elements.logDateInput) this.elements.logDateInput.value = '';
+    if (this.elements.logClockInput) this.elements.logClockInput.value = '';
+    if (this.elements.logTime) this.elements.logTime.open = false;
+  }
+  
+  /**
+   * Add intake amount, at the time picked for backdated logging if there is one
    * @param {number} amount - Amount to add
+   * @param {Object} [food] - Food the amount was logged from, as { name, servings }
    */
-  addIntake(amount) {
+  addIntake(amount, food = null) {
     if (amount <= 0) return;
     
-    this.totalIntake += amount;
-    this.saveDailyHistory(amount);
+    const loggedAt = this.getLogTime();
+    if (!loggedAt) return;
+    
+    const previousTotal = this.getDayTotal(utils.getDateKey(loggedAt));
+    const date = this.saveDailyHistory(amount, loggedAt, food);
+    this.recalculateTotalIntake();
     this.updateDisplay();
     this.refreshHistory();
     
-    utils.showToast(`Added ${amount} ${this.unit} of ${this.type}`, 'success');
+    const what = food ? `${this.formatAmount(amount)} of ${this.label} (${this.getFoodText({ food: food.name, servings: food.servings })})` : `${this.formatAmount(amount)} of ${this.label}`;
+    
+    if (date === utils.getTodayKey()) {
+      utils.showToast(`Added ${what}`, 'success');
+    } else {
+      utils.showToast(`Added ${what} on ${date}`, 'success');
+    }
+    
+    this.checkLimit(date, previousTotal);
+    this.clearLogTime();
   }
   
   /**
-   * Add manually entered intake
+   * Add manually entered intake, typed in the display unit
    */
   addManualIntake() {
-    const amount = parseInt(this.elements.manualInput.value);
+    const amount = parseFloat(this.elements.manualInput.value);
     
     if (!isNaN(amount) && amount > 0) {
-      this.addIntake(amount);
+      this.addIntake(this.fromDisplay(amount));
       this.elements.manualInput.value = '';
     } else {
       utils.showToast(`Please enter a positive number.`, 'error');
@@ -169,73 +1033,269 @@ class Tracker {
   /**
    * Save intake to daily history
    * @param {number} amount - Amount to save
+   * @param {Date} [loggedAt=new Date()] - When the intake happened
+   * @param {Object} [food] - Food the amount was logged from, as { name, servings }
+   * @returns {string} Date key of the day the entry was added to
    */
-  saveDailyHistory(amount) {
-    const currentDate = utils.formatDate(new Date());
+  saveDailyHistory(amount, loggedAt = new Date(), food = null) {
+    const date = utils.getDateKey(loggedAt);
     
-    if (!this.dailyHistory[currentDate]) {
-      this.dailyHistory[currentDate] = [];
+    if (!this.dailyHistory[date]) {
+      this.dailyHistory[date] = [];
     }
     
-    this.dailyHistory[currentDate].push({
+    const entry = {
+      tracker: this.type,
+      date,
       amount,
-      timestamp: new Date().toISOString()
-    });
+      timestamp: loggedAt.toISOString(),
+      ...timeZones.getEntryFields(loggedAt)
+    };
+    
+    if (food) {
+      entry.food = food.name;
+      entry.servings = food.servings;
+    }
+    
+    // Backdated entries can land between existing ones
+    this.dailyHistory[date].push(entry);
+    this.dailyHistory[date].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    
+    const saved = healthDB.put(DB_STORES.INTAKE, entry);
+    this.pendingSaves.set(entry, saved);
+    saved.catch(error => healthDB.reportError(error));
+    
+    return date;
+  }
+  
+  /**
+   * Change the amount and time of an entry
+   * @param {Object} entry - Entry from the daily history
+   * @param {number} amount - New amount
+   * @param {string} time - New time of day (HH:MM)
+   */
+  updateEntry(entry, amount, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const previousTotal = this.getDayTotal(entry.date);
+    
+    // A changed amount no longer matches the logged servings of a food
+    if (amount !== entry.amount) delete entry.servings;
+    
+    entry.amount = amount;
+    entry.timestamp = utils.getTimeOnDay(entry.date, hours, minutes, entry.timeZone).toISOString();
+    this.dailyHistory[entry.date].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    
+    this.whenSaved(entry)
+      .then(() => healthDB.put(DB_STORES.INTAKE, entry))
+      .catch(error => healthDB.reportError(error));
     
-    localStorage.setItem(this.historyKey, JSON.stringify(this.dailyHistory));
+    this.recalculateTotalIntake();
+    this.updateDisplay();
+    this.refreshHistory(true);
+    this.checkLimit(entry.date, previousTotal);
+  }
+  
+  /**
+   * Wait until an entry added in this session has been saved and has its id
+   * @param {Object} entry - Entry from the daily history
+   * @returns {Promise<void>} Resolves once the entry is saved, rejects if saving it failed
+   */
+  whenSaved(entry) {
+    return Promise.resolve(this.pendingSaves.get(entry));
+  }
+  
+  /**
+   * Delete an entry from the daily history
+   * @param {Object} entry - Entry from the daily history
+   */
+  deleteEntry(entry) {
+    const entries = this.dailyHistory[entry.date].filter(e => e !== entry);
+    
+    if (entries.length > 0) {
+      this.dailyHistory[entry.date] = entries;
+    } else {
+      delete this.dailyHistory[entry.date];
+    }
+    
+    this.whenSaved(entry)
+      .then(() => healthDB.delete(DB_STORES.INTAKE, entry.id))
+      .catch(error => healthDB.reportError(error));
+    
+    this.recalculateTotalIntake();
+    this.updateDisplay();
+    this.refreshHistory(true);
   }
   
   /**
    * Refresh history displays
+   * @param {boolean} [keepTab=false] - Stay on today's details or the charts if they are showing
    */
-  refreshHistory() {
+  refreshHistory(keepTab = false) {
+    const showingTab = keepTab && [this.elements.currentIntakeTab, this.elements.chartsTab]
+      .find(tab => tab && tab.classList.contains('active'));
+    
     this.showDailyHistory();
     this.showCurrentIntake();
+    this.showCharts();
+    
+    if (showingTab) {
+      this.elements.dailyHistoryTab.classList.remove('active');
+      showingTab.classList.add('active');
+    }
   }
   
   /**
    * Check if daily intake needs to be reset
    */
   checkAndResetDailyIntake() {
-    const currentDate = utils.formatDate(new Date());
+    const currentDate = utils.getTodayKey();
     const lastResetDate = localStorage.getItem(this.lastResetKey);
     
     if (lastResetDate !== currentDate) {
-      this.resetDailyIntake();
+      // The new day's total only counts entries logged for it
+      this.recalculateTotalIntake();
+      this.updateDisplay();
+      this.refreshHistory();
+      this.renderScheduledGoals();
       localStorage.setItem(this.lastResetKey, currentDate);
     }
   }
   
   /**
-   * Setup automatic reset at midnight
+   * Reset daily intake and remove today's entries
    */
-  setupMidnightReset() {
-    // Clear any existing timeout to prevent memory leaks
-    if (this.midnightResetTimeout) {
-      clearTimeout(this.midnightResetTimeout);
+  resetDailyIntake() {
+    const currentDate = utils.getTodayKey();
+    if (this.dailyHistory[currentDate]) {
+      delete this.dailyHistory[currentDate];
+      healthDB.deleteByIndex(DB_STORES.INTAKE, 'tracker_date', [this.type, currentDate])
+        .catch(error => healthDB.reportError(error));
     }
     
-    // Calculate time until next midnight
-    const now = new Date();
-    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-    const midnight = new Date(tomorrow.setHours(0, 0, 0, 0));
-    const msUntilMidnight = midnight - now;
+    this.recalculateTotalIntake();
+    this.updateDisplay();
+    this.refreshHistory();
+  }
+  
+  /**
+   * Create a list of entries with edit and delete buttons
+   * @param {Array<Object>} entries - Entries of one day
+   * @returns {HTMLElement} List element
+   */
+  createEntriesList(entries) {
+    const entriesList = document.createElement('ul');
+    entriesList.className = 'intake-entries';
+    
+    entries.forEach(entry => {
+      const entryItem = document.createElement('li');
+      entryItem.className = 'intake-entry';
+      this.showEntry(entryItem, entry);
+      entriesList.appendChild(entryItem);
+    });
     
-    // Set timeout for midnight reset
-    this.midnightResetTimeout = setTimeout(() => {
-      this.checkAndResetDailyIntake();
-      this.setupMidnightReset(); // Set up next day's reset
-    }, msUntilMidnight);
+    return entriesList;
   }
   
   /**
-   * Reset daily intake
+   * Describe the food an entry was logged from
+   * @param {Object} entry - Entry with food and servings
+   * @returns {string} Text such as "2 × Egg", or an empty string for plain amounts
    */
-  resetDailyIntake() {
-    this.totalIntake = 0;
-    localStorage.setItem(this.intakeKey, this.totalIntake);
-    this.updateDisplay();
-    this.refreshHistory();
+  getFoodText(entry) {
+    if (!entry.food) return '';
+    return entry.servings ? `${entry.servings} × ${entry.food}` : entry.food;
+  }
+  
+  /**
+   * Show an entry with edit and delete buttons
+   * @param {HTMLElement} entryItem - List item to fill
+   * @param {Object} entry - Entry from the daily history
+   */
+  showEntry(entryItem, entry) {
+    entryItem.innerHTML = '';
+    
+    const text = document.createElement('span');
+    const time = timeZones.formatEntryTime(entry);
+    const food = this.getFoodText(entry);
+    text.textContent = `${time}: ${food ? `${food} → ` : ''}${this.formatAmount(entry.amount)}`;
+    entryItem.appendChild(text);
+    
+    const editBtn = document.createElement('button');
+    editBtn.className = 'icon-btn';
+    editBtn.setAttribute('aria-label', 'Edit entry');
+    editBtn.innerHTML = '<i class="material-icons-round">edit</i>';
+    editBtn.addEventListener('click', () => this.showEntryEditor(entryItem, entry));
+    entryItem.appendChild(editBtn);
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'icon-btn';
+    deleteBtn.setAttribute('aria-label', 'Delete entry');
+    deleteBtn.innerHTML = '<i class="material-icons-round">delete</i>';
+    deleteBtn.addEventListener('click', () => {
+      if (confirm(`Delete ${food ? `${food} (${this.formatAmount(entry.amount)})` : this.formatAmount(entry.amount)} logged at ${time}?`)) {
+        this.deleteEntry(entry);
+        utils.showToast(`Deleted ${this.formatAmount(entry.amount)} of ${this.label}`, 'warning');
+      }
+    });
+    entryItem.appendChild(deleteBtn);
+  }
+  
+  /**
+   * Replace an entry with amount and time inputs
+   * @param {HTMLElement} entryItem - List item showing the entry
+   * @param {Object} entry - Entry from the daily history
+   */
+  showEntryEditor(entryItem, entry) {
+    entryItem.innerHTML = '';
+    
+    // The time is edited as it was on the clock where the entry was logged
+    const loggedAt = timeZones.getEntryParts(entry);
+    
+    const amountInput = document.createElement('input');
+    amountInput.type = 'number';
+    amountInput.min = '0';
+    amountInput.step = 'any';
+    amountInput.value = this.toDisplay(entry.amount);
+    amountInput.setAttribute('aria-label', `Amount (${units.getDisplayUnit(this.unit)})`);
+    entryItem.appendChild(amountInput);
+    
+    const timeInput = document.createElement('input');
+    timeInput.type = 'time';
+    timeInput.value = `${String(loggedAt.hours).padStart(2, '0')}:${String(loggedAt.minutes).padStart(2, '0')}`;
+    timeInput.setAttribute('aria-label', 'Time');
+    entryItem.appendChild(timeInput);
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'icon-btn';
+    saveBtn.setAttribute('aria-label', 'Save entry');
+    saveBtn.innerHTML = '<i class="material-icons-round">check</i>';
+    saveBtn.addEventListener('click', () => {
+      const amount = parseFloat(amountInput.value);
+      
+      if (isNaN(amount) || amount <= 0) {
+        utils.showToast('Please enter a positive number.', 'error');
+        return;
+      }
+      if (!/^\d{2}:\d{2}/.test(timeInput.value)) {
+        utils.showToast('Please enter a valid time.', 'error');
+        return;
+      }
+      
+      // An untouched amount keeps its stored value instead of a rounded conversion
+      const unchanged = amountInput.value === String(this.toDisplay(entry.amount));
+      this.updateEntry(entry, unchanged ? entry.amount : this.fromDisplay(amount), timeInput.value);
+      utils.showToast(`Updated ${this.label} entry`, 'success');
+    });
+    entryItem.appendChild(saveBtn);
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'icon-btn';
+    cancelBtn.setAttribute('aria-label', 'Cancel');
+    cancelBtn.innerHTML = '<i class="material-icons-round">close</i>';
+    cancelBtn.addEventListener('click', () => this.showEntry(entryItem, entry));
+    entryItem.appendChild(cancelBtn);
+    
+    amountInput.focus();
   }
   
   /**
@@ -248,7 +1308,8 @@ class Tracker {
     const fragment = document.createDocumentFragment();
     
     // Sort dates (most recent first) and limit to 7 days
-    const dates = Object.keys(this.dailyHistory).sort((a, b) => {
+    const summaries = this.getDaySummaries();
+    const dates = Object.keys(summaries).sort((a, b) => {
       // Since date format is now YYYY-MM-DD, we can sort directly
       return b.localeCompare(a);
     }).slice(0, 7);
@@ -259,8 +1320,7 @@ class Tracker {
       fragment.appendChild(noData);
     } else {
       dates.forEach(date => {
-        const entries = this.dailyHistory[date];
-        const totalAmount = entries.reduce((sum, entry) => sum + entry.amount, 0);
+        const totalAmount = Math.round(summaries[date].total * 100) / 100;
         
         const dayEntry = document.createElement('div');
         dayEntry.className = 'day-entry';
@@ -270,14 +1330,32 @@ class Tracker {
         dayEntry.appendChild(dateText);
         
         const totalText = document.createElement('p');
-        totalText.textContent = `Total: ${totalAmount} ${this.unit}`;
+        totalText.textContent = `Total: ${this.formatAmount(totalAmount)}`;
         dayEntry.appendChild(totalText);
         
         const goalPercent = document.createElement('p');
-        const percentage = this.goal > 0 ? Math.round((totalAmount / this.goal) * 100) : 0;
-        goalPercent.textContent = `${percentage}% of daily goal`;
+        const goal = this.getGoalForDate(date);
+        const isLimit = this.getGoalTypeForDate(date) === 'limit';
+        const goalName = isLimit ? 'daily limit' : 'daily goal';
+        const percentage = goal > 0 ? Math.round((totalAmount / goal) * 100) : 0;
+        goalPercent.textContent = goal > 0 ? `${percentage}% of ${goalName} (${this.formatAmount(goal)})` : `0% of ${goalName}`;
         dayEntry.appendChild(goalPercent);
         
+        // Going over a limit fails the day
+        if (isLimit && goal > 0) {
+          const met = this.isGoalMet(totalAmount, goal, date);
+          const status = document.createElement('p');
+          status.className = `goal-status ${met ? 'met' : 'missed'}`;
+          status.textContent = met ? 'Within limit' : `Over limit by ${this.formatAmount(totalAmount - goal)}`;
+          dayEntry.appendChild(status);
+          dayEntry.classList.toggle('over-limit', !met);
+        }
+        
+        // Archived days only have a summary
+        if (this.dailyHistory[date]) {
+          dayEntry.appendChild(this.createEntriesList(this.dailyHistory[date]));
+        }
+        
         fragment.appendChild(dayEntry);
       });
     }
@@ -288,6 +1366,9 @@ class Tracker {
     if (this.elements.currentIntakeTab) {
       this.elements.currentIntakeTab.classList.remove('active');
     }
+    if (this.elements.chartsTab) {
+      this.elements.chartsTab.classList.remove('active');
+    }
   }
 
   /**
@@ -297,58 +1378,66 @@ class Tracker {
     if (!this.elements.currentIntakeTab) return;
     
     this.elements.currentIntakeTab.innerHTML = '';
-    const currentDate = utils.formatDate(new Date());
+    const currentDate = utils.getTodayKey();
     const entries = this.dailyHistory[currentDate] || [];
     
     const container = document.createElement('div');
     
     const header = document.createElement('h3');
-    header.textContent = `Today's ${this.type.charAt(0).toUpperCase() + this.type.slice(1)} Intake`;
+    header.textContent = `Today's ${this.label.charAt(0).toUpperCase() + this.label.slice(1)} Intake`;
     container.appendChild(header);
     
     if (entries.length === 0) {
       const noEntries = document.createElement('p');
-      noEntries.textContent = `No ${this.type} intake recorded today.`;
+      noEntries.textContent = `No ${this.label} intake recorded today.`;
       container.appendChild(noEntries);
     } else {
-      const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
-      
-      const remaining = this.goal > total ? this.goal - total : 0;
+      const goal = this.getTodayGoal();
+      const remaining = goal > this.totalIntake ? goal - this.totalIntake : 0;
       const remainingInfo = document.createElement('p');
-      remainingInfo.innerHTML = `Remaining: <b>${remaining} ${this.unit}</b>`;
+      remainingInfo.innerHTML = `Remaining: <b>${utils.escapeHtml(this.formatAmount(remaining))}</b>`;
       container.appendChild(remainingInfo);
       
       const entriesHeader = document.createElement('h4');
       entriesHeader.textContent = 'Individual Entries:';
       container.appendChild(entriesHeader);
       
-      const entriesList = document.createElement('ul');
-      
-      entries.forEach((entry, index) => {
-        const entryItem = document.createElement('li');
-        const time = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        entryItem.textContent = `${time}: ${entry.amount} ${this.unit}`;
-        entriesList.appendChild(entryItem);
-      });
-      
-      container.appendChild(entriesList);
+      container.appendChild(this.createEntriesList(entries));
     }
     
     this.elements.currentIntakeTab.appendChild(container);
   }
   
+  /**
+   * Show the trend charts for the picked range
+   */
+  showCharts() {
+    if (!this.elements.chartsTab) return;
+    
+    intakeCharts.render(this, this.elements.chartsTab, this.chartDays);
+  }
+  
   /**
    * Reset all data for this tracker
    */
   resetAllData() {
     localStorage.removeItem(this.goalKey);
-    localStorage.removeItem(this.intakeKey);
-    localStorage.removeItem(this.historyKey);
+    localStorage.removeItem(this.goalHistoryKey);
+    localStorage.removeItem(this.goalTypeKey);
     localStorage.removeItem(this.lastResetKey);
+    localStorage.removeItem(this.presetsKey);
+    localStorage.removeItem(this.pacingKey);
     
-    utils.showToast(`All ${this.type} tracking data has been reset.`, 'warning');
-    
-    // Reload the page to reset all instances
-    setTimeout(() => location.reload(), 1500);
+    Promise.all([
+      healthDB.deleteByIndex(DB_STORES.INTAKE, 'tracker', this.type),
+      historyArchive.deleteSummaries(`intake:${this.type}:`)
+    ])
+      .then(() => {
+        utils.showToast(`All ${this.label} tracking data has been reset.`, 'warning');
+        
+        // Reload the page to reset all instances
+        setTimeout(() => location.reload(), 1500);
+      })
+      .catch(error => healthDB.reportError(error));
   }
 }
\ No newline at end of file
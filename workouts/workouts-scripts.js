@@ -12,28 +12,18 @@ class WorkoutTracker {
      */
       constructor() {
         // Define storage keys
-        this.stateKey = 'workout_state';
-        this.historyKey = 'workout_history';
-        this.countKey = 'workout_count';
+        this.stateKey = DB_META_KEYS.WORKOUT_STATE;
+        this.countKey = DB_META_KEYS.WORKOUT_COUNT;
         this.lastResetKey = `${STORAGE_KEYS.LAST_RESET_PREFIX}workout`;
         
         // Define workout types - Added "Shoulders" to the list
         this.workoutTypes = ['Chest', 'Back', 'Shoulders', 'Biceps', 'Triceps', 'Abs', 'Legs'];
         
-        // Load data from localStorage
-        this.workoutState = JSON.parse(localStorage.getItem(this.stateKey)) || 
-          this.workoutTypes.reduce((acc, type) => {
-            acc[type] = { completed: false, order: this.workoutTypes.indexOf(type) };
-            return acc;
-          }, {});
-        
-        this.workoutCounts = JSON.parse(localStorage.getItem(this.countKey)) || 
-          this.workoutTypes.reduce((acc, type) => {
-            acc[type] = 0;
-            return acc;
-          }, {});
-      
-      this.workoutHistory = JSON.parse(localStorage.getItem(this.historyKey)) || {};
+        // Default state until data is loaded from the database
+        this.workoutState = this.getDefaultState();
+        this.workoutCounts = this.getDefaultCounts();
+        this.workoutHistory = {};
+        this.archivedDays = {};
       
       // Set DOM elements
       this.elements = {
@@ -43,8 +33,71 @@ class WorkoutTracker {
         currentWorkoutsTab: document.getElementById('workout-current-exercises')
       };
       
-      // Initialize tracker
-      this.initializeTracker();
+      // Load data, then initialize tracker
+      this.ready = this.loadData()
+        .catch(error => healthDB.reportError(error))
+        .then(() => this.initializeTracker());
+    }
+    
+    /**
+     * Build the default (all incomplete) workout state
+     * @returns {Object} Workout state keyed by type
+     */
+    getDefaultState() {
+      return this.workoutTypes.reduce((acc, type) => {
+        acc[type] = { completed: false, order: this.workoutTypes.indexOf(type) };
+        return acc;
+      }, {});
+    }
+    
+    /**
+     * Build the default (zero) workout counts
+     * @returns {Object} Workout counts keyed by type
+     */
+    getDefaultCounts() {
+      return this.workoutTypes.reduce((acc, type) => {
+        acc[type] = 0;
+        return acc;
+      }, {});
+    }
+    
+    /**
+     * Load workout state, counts, history and archived monthly summaries from the database
+     * @returns {Promise<void>}
+     */
+    async loadData() {
+      const [state, counts, records, archives] = await Promise.all([
+        healthDB.getMeta(this.stateKey),
+        healthDB.getMeta(this.countKey),
+        healthDB.getAll(DB_STORES.WORKOUTS),
+        healthDB.getAllByIndex(DB_STORES.ARCHIVES, 'kind', 'workout')
+      ]);
+      
+      this.workoutState = state || this.getDefaultState();
+      this.workoutCounts = counts || this.getDefaultCounts();
+      this.workoutHistory = healthDB.toWorkoutHistory(records, true);
+      this.archivedDays = historyArchive.getWorkoutDays(archives);
+    }
+    
+    /**
+     * Get completed workouts per type for every day, including archived months
+     * @returns {Object} { 'YYYY-MM-DD': { type: count } }
+     */
+    getDaySummaries() {
+      const summaries = {};
+      
+      Object.entries(this.archivedDays).forEach(([date, counts]) => {
+        summaries[date] = { ...counts };
+      });
+      
+      Object.entries(this.workoutHistory).forEach(([date, entries]) => {
+        const workoutsByType = summaries[date] || (summaries[date] = {});
+        entries.forEach(entry => {
+          workoutsByType[entry.type] = (workoutsByType[entry.type] || 0) + 1;
+        });
+      });
+      
+      return summaries;
     }
     
     /**
@@ -54,8 +107,8 @@ class WorkoutTracker {
       // Check for daily reset
       this.checkAndResetDailyWorkouts();
       
-      // Set up auto-reset at midnight
-      this.setupMidnightReset();
+      // Reset again whenever the day changes
+      window.addEventListener(DAY_CHANGE_EVENT, () => this.checkAndResetDailyWorkouts());
       
       // Render workout tabs
       this.renderWorkoutTabs();
@@ -145,11 +198,13 @@ class WorkoutTracker {
     }
     
     /**
-     * Save the current state to localStorage
+     * Save the current state to the database
      */
     saveState() {
-      localStorage.setItem(this.stateKey, JSON.stringify(this.workoutState));
-      localStorage.setItem(this.countKey, JSON.stringify(this.workoutCounts));
+      healthDB.putAll(DB_STORES.META, [
+        { key: this.stateKey, value: this.workoutState },
+        { key: this.countKey, value: this.workoutCounts }
+      ]).catch(error => healthDB.reportError(error));
     }
     
     /**
@@ -178,19 +233,24 @@ class WorkoutTracker {
      * @param {string} type - Workout type
      */
     saveWorkoutHistory(type) {
-      const currentDate = utils.formatDate(new Date());
+      const currentDate = utils.getTodayKey();
       
       if (!this.workoutHistory[currentDate]) {
         this.workoutHistory[currentDate] = [];
       }
       
-      this.workoutHistory[currentDate].push({
+      const now = new Date();
+      const entry = {
+        date: currentDate,
         type,
         count: this.workoutCounts[type],
-        timestamp: new Date().toISOString()
-      });
+        timestamp: now.toISOString(),
+        ...timeZones.getEntryFields(now)
+      };
       
-      localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+      this.workoutHistory[currentDate].push(entry);
+      
+      healthDB.put(DB_STORES.WORKOUTS, entry).catch(error => healthDB.reportError(error));
     }
     
     /**
@@ -211,7 +271,8 @@ class WorkoutTracker {
       const fragment = document.createDocumentFragment();
       
       // Sort dates (most recent first) and limit to 7 days
-      const dates = Object.keys(this.workoutHistory).sort((a, b) => {
+      const summaries = this.getDaySummaries();
+      const dates = Object.keys(summaries).sort((a, b) => {
         return b.localeCompare(a);
       }).slice(0, 7);
       
@@ -221,7 +282,7 @@ class WorkoutTracker {
         fragment.appendChild(noData);
       } else {
         dates.forEach(date => {
-          const entries = this.workoutHistory[date];
+          const workoutsByType = summaries[date];
           
           const dayEntry = document.createElement('div');
           dayEntry.className = 'day-entry';
@@ -230,15 +291,6 @@ class WorkoutTracker {
           dateText.innerHTML = `<b>${date}</b>`;
           dayEntry.appendChild(dateText);
           
-          // Group workouts by type
-          const workoutsByType = {};
-          entries.forEach(entry => {
-            if (!workoutsByType[entry.type]) {
-              workoutsByType[entry.type] = 0;
-            }
-            workoutsByType[entry.type] += 1;
-          });
-          
           // Show workout summary
           const workoutSummary = document.createElement('p');
           workoutSummary.textContent = `Completed workouts: ${Object.keys(workoutsByType).length} types`;
@@ -275,7 +327,7 @@ class WorkoutTracker {
       if (!this.elements.currentWorkoutsTab) return;
       
       this.elements.currentWorkoutsTab.innerHTML = '';
-      const currentDate = utils.formatDate(new Date());
+      const currentDate = utils.getTodayKey();
       const entries = this.workoutHistory[currentDate] || [];
       
       const container = document.createElement('div');
@@ -303,7 +355,7 @@ class WorkoutTracker {
         Object.entries(groupedEntries).forEach(([type, typeEntries]) => {
           const entryItem = document.createElement('li');
           const lastEntry = typeEntries[typeEntries.length - 1];
-          const time = new Date(lastEntry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+          const time = timeZones.formatEntryTime(lastEntry);
           entryItem.innerHTML = `<b>${type}</b>: ${typeEntries.length} ${typeEntries.length === 1 ? 'time' : 'times'} (last at ${time})`;
           entriesList.appendChild(entryItem);
         });
@@ -318,32 +370,16 @@ class WorkoutTracker {
      * Check if daily workouts need to be reset
      */
     checkAndResetDailyWorkouts() {
-      const currentDate = utils.formatDate(new Date());
+      const currentDate = utils.getTodayKey();
       const lastResetDate = localStorage.getItem(this.lastResetKey);
       
       if (lastResetDate !== currentDate) {
-        this.resetDailyWorkouts();
+        // Only the tabs start over; a day reached by changing time zone may already have history
+        this.resetWorkoutTabs();
         localStorage.setItem(this.lastResetKey, currentDate);
       }
     }
     
-    /**
-     * Setup automatic reset at midnight
-     */
-    setupMidnightReset() {
-      // Calculate time until next midnight
-      const now = new Date();
-      const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-      const midnight = new Date(tomorrow.setHours(0, 0, 0, 0));
-      const msUntilMidnight = midnight - now;
-      
-      // Set timeout for midnight reset
-      setTimeout(() => {
-        this.checkAndResetDailyWorkouts();
-        this.setupMidnightReset(); // Set up next day's reset
-      }, msUntilMidnight);
-    }
-    
     /**
  * Reset daily workouts and remove today's history
  */
@@ -352,25 +388,32 @@ resetDailyWorkouts() {
     this.resetWorkoutTabs();
     
     // Remove today's history
-    const currentDate = utils.formatDate(new Date());
+    const currentDate = utils.getTodayKey();
     if (this.workoutHistory[currentDate]) {
       delete this.workoutHistory[currentDate];
-      localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+      healthDB.deleteByIndex(DB_STORES.WORKOUTS, 'date', currentDate)
+        .catch(error => healthDB.reportError(error));
     }
   }
     /**
      * Reset all data for this tracker
      */
     resetAllData() {
-      localStorage.removeItem(this.stateKey);
-      localStorage.removeItem(this.countKey);
-      localStorage.removeItem(this.historyKey);
       localStorage.removeItem(this.lastResetKey);
       
-      utils.showToast('All workout tracking data has been reset.', 'warning');
-      
-      // Reload the page to reset all instances
-      setTimeout(() => location.reload(), 1500);
+      Promise.all([
+        healthDB.delete(DB_STORES.META, this.stateKey),
+        healthDB.delete(DB_STORES.META, this.countKey),
+        healthDB.clear(DB_STORES.WORKOUTS),
+        historyArchive.deleteSummaries('workout:')
+      ])
+        .then(() => {
+          utils.showToast('All workout tracking data has been reset.', 'warning');
+          
+          // Reload the page to reset all instances
+          setTimeout(() => location.reload(), 1500);
+        })
+        .catch(error => healthDB.reportError(error));
     }
     
     /**